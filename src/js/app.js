@@ -4,65 +4,136 @@
  */
 
 const App = (function() {
-    const STATS_KEY = 'pomodoro_stats';
     const TASKS_KEY = 'pomodoro_tasks';
     const ACTIVE_TASK_KEY = 'pomodoro_active_task';
-    const HISTORY_KEY = 'pomodoro_history';
-
-    let stats = {
-        todayPomodoros: 0,
-        todayFocusTime: 0, // in minutes
-        lastDate: new Date().toDateString(),
-        streak: 0,
-        lastStreakDate: null
+
+    // Sessions listed in the history panel
+    const RECENT_HISTORY_LIMIT = 20;
+
+    // Which sessions each history filter lists
+    const HISTORY_FILTERS = {
+        all: () => true,
+        work: entry => entry.type === 'work',
+        break: entry => entry.type === 'break',
+        missed: entry => entry.outcome !== 'completed'
     };
 
-    let sessionHistory = [];
+    const OUTCOME_LABELS = { skipped: 'Skipped', aborted: 'Aborted' };
+
+    // How often to check whether the day has changed while the app is open
+    const DATE_CHECK_INTERVAL = 60 * 1000; // ms
+
+    // Day the app last rolled over to, as a Date.toDateString()
+    let currentDay = null;
+
+    // Weeks back from the current one shown in the weekly chart
+    let weekOffset = 0;
+
+    // Key of HISTORY_FILTERS the history panel is showing
+    let historyFilter = 'all';
 
     // DOM Elements
     const elements = {
         todayPomodoros: document.getElementById('today-pomodoros'),
         todayFocusTime: document.getElementById('today-focus-time'),
+        todayOvertime: document.getElementById('today-overtime'),
+        todayBreaks: document.getElementById('today-breaks'),
         streakCount: document.getElementById('streak-count'),
+        streakFreezesLeft: document.getElementById('streak-freezes-left'),
+        goalProgress: document.getElementById('goal-progress'),
+        goalRingFill: document.getElementById('goal-ring-fill'),
+        goalProgressValue: document.getElementById('goal-progress-value'),
+        goalProgressLabel: document.getElementById('goal-progress-label'),
         activeTaskDisplay: document.getElementById('active-task-display'),
         activeTaskText: document.getElementById('active-task-text'),
         toggleHistory: document.getElementById('toggle-history'),
         sessionHistory: document.getElementById('session-history'),
+        historyFilters: document.getElementById('history-filters'),
         historyList: document.getElementById('history-list'),
         focusModeBtn: document.getElementById('focus-mode-btn'),
         exitFocusBtn: document.getElementById('exit-focus-btn'),
+        weeklyTitle: document.getElementById('weekly-title'),
+        weeklyPrev: document.getElementById('weekly-prev'),
+        weeklyNext: document.getElementById('weekly-next'),
         weeklyChart: document.getElementById('weekly-chart'),
-        weeklyTotalPomodoros: document.getElementById('weekly-total-pomodoros')
+        weeklyTotalPomodoros: document.getElementById('weekly-total-pomodoros'),
+        projectBreakdown: document.getElementById('project-breakdown')
     };
 
     /**
      * Initialize the application
      */
     function init() {
-        loadStats();
-        loadHistory();
-        checkDateReset();
+        HistoryStore.init(() => {
+            renderHistory();
+            renderWeeklyStats();
+        });
+        HistoryStore.on('change', () => {
+            renderHistory();
+            renderWeeklyStats();
+        });
 
-        // Initialize modules
+        // Initialize modules (the sequence editor first, so its Escape
+        // handler runs before the settings modal's)
+        Sequences.init();
         Settings.init();
+        TaskDetail.init();
+        Interruptions.init();
 
         // Load saved timer state
         const savedTimerState = Timer.loadState();
-        Timer.init(Settings.get(), savedTimerState);
+        Timer.init(getTimerSettings(Settings.get()), savedTimerState);
 
         // Load saved active task
         const savedActiveTaskId = loadActiveTaskId();
         Tasks.init(loadTasks(), savedActiveTaskId);
+        Plan.init();
+        Archive.init();
+        Estimates.init();
+        TaskIO.init();
+        Dashboard.init();
+        SessionEditor.init();
+        Stats.init();
+
+        // Subscribe to module events
+        Stats.on('change', updateStatsDisplay);
+        Settings.on('change', handleSettingsChange);
+        Timer.on('complete', handleTimerEnd);
+        Timer.on('overtimeEnd', handleOvertimeEnd);
+        Timer.on('pause', handlePause);
+        Timer.on('abort', handleSessionAbort);
+        Timer.on('skip', handleBreakSkip);
+        Timer.on('stateChange', handleTimerStateChange);
+        Timer.on('undo', handleTimerUndo);
+        Tasks.on('change', saveTasks);
+        Tasks.on('activeTaskChange', handleActiveTaskChange);
+
+        // Roll over daily stats and recurring tasks, now and at midnight
+        checkDateReset();
+        setInterval(checkDateReset, DATE_CHECK_INTERVAL);
+
+        // Follow changes other tabs make to the shared data
+        Sync.init();
+        Sync.on('change', handleSyncChange);
+
+        // Pick up a session left running before the reload, crediting any
+        // that finished while the app was closed. Another open tab already
+        // credits those, so only follow its session then.
+        if (Sync.isLeader()) {
+            Timer.resume();
+        } else if (savedTimerState) {
+            Timer.adoptState(savedTimerState);
+        }
 
-        // Set up callbacks
-        Settings.setOnSettingsChange(handleSettingsChange);
-        Timer.setOnTimerEnd(handleTimerEnd);
-        Timer.setOnTick(handleTick);
-        Tasks.setOnTasksChange(saveTasks);
-        Tasks.setOnActiveTaskChange(handleActiveTaskChange);
-
-        // Bind history toggle
+        // Bind history toggle and filters
         elements.toggleHistory.addEventListener('click', toggleHistoryDisplay);
+        elements.historyFilters.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => setHistoryFilter(chip.dataset.filter));
+        });
+
+        // Bind weekly chart navigation
+        elements.weeklyPrev.addEventListener('click', () => showWeek(weekOffset + 1));
+        elements.weeklyNext.addEventListener('click', () => showWeek(weekOffset - 1));
 
         // Bind focus mode
         elements.focusModeBtn.addEventListener('click', enterFocusMode);
@@ -71,7 +142,7 @@ const App = (function() {
             if (e.code === 'Escape' && document.body.classList.contains('focus-mode')) {
                 exitFocusMode();
             }
-            if (e.code === 'KeyF' && !e.ctrlKey && !e.metaKey && e.target.tagName !== 'INPUT') {
+            if (e.code === 'KeyF' && !e.ctrlKey && !e.metaKey && !Keys.isEditableTarget(e.target)) {
                 e.preventDefault();
                 if (document.body.classList.contains('focus-mode')) {
                     exitFocusMode();
@@ -89,81 +160,52 @@ const App = (function() {
         });
 
         // Update displays
-        updateStatsDisplay();
+        updateStatsDisplay(Stats.get());
         updateActiveTaskDisplay(Tasks.getActiveTask());
-        renderHistory();
-        renderWeeklyStats();
 
         console.log('Pomodoro App initialized');
     }
 
     /**
-     * Load stats from localStorage
-     */
-    function loadStats() {
-        try {
-            const saved = localStorage.getItem(STATS_KEY);
-            if (saved) {
-                stats = { ...stats, ...JSON.parse(saved) };
-            }
-        } catch (e) {
-            console.error('Failed to load stats:', e);
-        }
-    }
-
-    /**
-     * Save stats to localStorage
-     */
-    function saveStats() {
-        try {
-            localStorage.setItem(STATS_KEY, JSON.stringify(stats));
-        } catch (e) {
-            console.error('Failed to save stats:', e);
-        }
-    }
-
-    /**
-     * Load session history from localStorage
+     * Add a session to history
+     * @param {Object} details - { type, outcome, plannedDuration, duration,
+     *     task, project, tags, label, endedAt, interruptions }
      */
-    function loadHistory() {
-        try {
-            const saved = localStorage.getItem(HISTORY_KEY);
-            if (saved) {
-                sessionHistory = JSON.parse(saved);
-            }
-        } catch (e) {
-            console.error('Failed to load history:', e);
-            sessionHistory = [];
-        }
+    function addHistoryEntry(details) {
+        HistoryStore.add({
+            timestamp: new Date(details.endedAt || Date.now()).toISOString(),
+            type: details.type,
+            outcome: details.outcome,
+            plannedDuration: details.plannedDuration,
+            duration: details.duration,
+            task: details.task || null,
+            project: details.project || null,
+            tags: details.tags || [],
+            label: details.label || null,
+            interruptions: details.interruptions || []
+        });
     }
 
     /**
-     * Save session history to localStorage
+     * Add a focus session to history, crediting it to the active task
+     * @param {Object} details - as for addHistoryEntry, less the task
      */
-    function saveHistory() {
-        try {
-            // Keep only last 50 sessions to avoid localStorage bloat
-            if (sessionHistory.length > 50) {
-                sessionHistory = sessionHistory.slice(-50);
-            }
-            localStorage.setItem(HISTORY_KEY, JSON.stringify(sessionHistory));
-        } catch (e) {
-            console.error('Failed to save history:', e);
-        }
+    function addWorkEntry(details) {
+        const activeTask = Tasks.getActiveTask();
+        addHistoryEntry({
+            ...details,
+            type: 'work',
+            task: activeTask ? activeTask.text : null,
+            project: activeTask ? activeTask.project : null,
+            tags: activeTask ? activeTask.tags : []
+        });
     }
 
     /**
-     * Add a session to history
+     * Show the week some weeks back from the current one in the weekly chart
      */
-    function addHistoryEntry(duration, taskName) {
-        const entry = {
-            timestamp: new Date().toISOString(),
-            duration: duration,
-            task: taskName || null
-        };
-        sessionHistory.push(entry);
-        saveHistory();
-        renderHistory();
+    function showWeek(offset) {
+        weekOffset = Math.max(0, offset);
         renderWeeklyStats();
     }
 
@@ -176,27 +218,41 @@ const App = (function() {
         const today = new Date();
         const dayOfWeek = today.getDay(); // 0 = Sunday
         const weekStart = new Date(today);
-        weekStart.setDate(today.getDate() - dayOfWeek);
+        weekStart.setDate(today.getDate() - dayOfWeek - weekOffset * 7);
         weekStart.setHours(0, 0, 0, 0);
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekStart.getDate() + 7);
+
+        elements.weeklyTitle.textContent = weekOffset === 0
+            ? 'This Week'
+            : weekOffset === 1
+                ? 'Last Week'
+                : `Week of ${weekStart.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+        elements.weeklyNext.disabled = weekOffset === 0;
+
+        HistoryStore.getRange(weekStart, weekEnd, renderWeek);
+    }
 
+    /**
+     * Render the week's pomodoros per day and its project breakdown
+     * @param {Object[]} sessions - sessions in the week shown
+     */
+    function renderWeek(sessions) {
         // Initialize daily counts
         const dailyCounts = [0, 0, 0, 0, 0, 0, 0]; // Sun-Sat
         const dayLabels = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
 
-        // Count pomodoros from history for this week
-        sessionHistory.forEach(entry => {
-            const entryDate = new Date(entry.timestamp);
-            if (entryDate >= weekStart) {
-                const dayIndex = entryDate.getDay();
-                dailyCounts[dayIndex]++;
-            }
+        // Count pomodoros from history for the week
+        sessions.forEach(entry => {
+            if (!Stats.isPomodoro(entry)) return;
+            dailyCounts[new Date(entry.timestamp).getDay()]++;
         });
 
         // Find max for scaling
         const maxCount = Math.max(...dailyCounts, 1);
 
-        // Render bars
-        const todayIndex = today.getDay();
+        // Render bars, marking today in the current week
+        const todayIndex = weekOffset === 0 ? new Date().getDay() : -1;
         elements.weeklyChart.innerHTML = dailyCounts.map((count, index) => {
             const height = (count / maxCount) * 60; // max 60px height
             const isToday = index === todayIndex;
@@ -212,6 +268,35 @@ const App = (function() {
         // Update total
         const weeklyTotal = dailyCounts.reduce((sum, count) => sum + count, 0);
         elements.weeklyTotalPomodoros.textContent = weeklyTotal;
+
+        renderProjectBreakdown(sessions);
+    }
+
+    /**
+     * Break the week's focus time (including overtime) down by project
+     * @param {Object[]} sessions - sessions since the start of the week
+     */
+    function renderProjectBreakdown(sessions) {
+        const minutesByProject = {};
+        sessions.forEach(entry => {
+            if (!Stats.isPomodoro(entry)) return;
+            const project = entry.project || '';
+            minutesByProject[project] = (minutesByProject[project] || 0) + entry.duration + (entry.overtime || 0);
+        });
+
+        const rows = Object.entries(minutesByProject).sort((a, b) => b[1] - a[1]);
+        const hasProjects = rows.some(([project]) => project);
+        elements.projectBreakdown.classList.toggle('hidden', !hasProjects);
+        if (!hasProjects) return;
+
+        const maxMinutes = rows[0][1] || 1;
+        elements.projectBreakdown.innerHTML = rows.map(([project, minutes]) => `
+            <li class="project-row">
+                <span class="project-name${project ? '' : ' no-project'}">${project ? escapeHtml(project) : 'No project'}</span>
+                <span class="project-bar"><span class="project-bar-fill" style="width: ${(minutes / maxMinutes) * 100}%"></span></span>
+                <span class="project-minutes">${formatMinutes(minutes)}</span>
+            </li>
+        `).join('');
     }
 
     /**
@@ -220,28 +305,85 @@ const App = (function() {
     function renderHistory() {
         if (!elements.historyList) return;
 
-        if (sessionHistory.length === 0) {
-            elements.historyList.innerHTML = '<li class="history-empty">No sessions yet</li>';
+        HistoryStore.getRecent(RECENT_HISTORY_LIMIT, HISTORY_FILTERS[historyFilter], renderHistoryList);
+    }
+
+    /**
+     * Show only some kinds of session in the history panel
+     * @param {string} filter - key of HISTORY_FILTERS
+     */
+    function setHistoryFilter(filter) {
+        historyFilter = filter;
+        elements.historyFilters.querySelectorAll('.filter-chip').forEach(chip => {
+            const active = chip.dataset.filter === filter;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', active);
+        });
+        renderHistory();
+    }
+
+    /**
+     * Render sessions in the history panel
+     * @param {Object[]} recentHistory - sessions, most recent first
+     */
+    function renderHistoryList(recentHistory) {
+        if (recentHistory.length === 0) {
+            const message = historyFilter === 'all' ? 'No sessions yet' : 'No matching sessions';
+            elements.historyList.innerHTML = `<li class="history-empty">${message}</li>`;
             return;
         }
 
-        // Show most recent first
-        const recentHistory = [...sessionHistory].reverse().slice(0, 20);
-
         elements.historyList.innerHTML = recentHistory.map(entry => {
             const date = new Date(entry.timestamp);
             const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
             const dateStr = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
-            const taskStr = entry.task ? `<span class="history-task">${escapeHtml(entry.task)}</span>` : '';
+            // Breaks show which break they were in place of a task
+            const taskStr = entry.type === 'break'
+                ? `<span class="history-task">${escapeHtml(entry.label || 'Break')}</span>`
+                : entry.task ? `<span class="history-task">${escapeHtml(entry.task)}</span>` : '';
+            const projectStr = entry.project ? `<span class="history-project">${escapeHtml(entry.project)}</span>` : '';
+            const overtimeStr = entry.overtime ? `<span class="history-overtime">+${entry.overtime}m</span>` : '';
+            const interruptions = entry.interruptions || [];
+            const interruptionStr = interruptions.length
+                ? `<span class="history-interruptions" title="${escapeHtml(describeInterruptions(interruptions))}">${interruptions.map(i => i.kind === 'internal' ? "'" : '-').join(' ')}</span>`
+                : '';
+            const outcomeStr = OUTCOME_LABELS[entry.outcome]
+                ? `<span class="history-outcome">${OUTCOME_LABELS[entry.outcome]}</span>`
+                : '';
+            // Sessions cut short show how much of the planned time was spent
+            const durationStr = entry.outcome !== 'completed' && entry.plannedDuration
+                ? `${entry.duration}/${entry.plannedDuration}m`
+                : `${entry.duration}m`;
 
             return `
-                <li class="history-item">
+                <li class="history-item ${entry.type} ${entry.outcome}">
                     <span class="history-time">${dateStr} ${timeStr}</span>
                     ${taskStr}
-                    <span class="history-duration">${entry.duration}m</span>
+                    ${projectStr}
+                    ${interruptionStr}
+                    ${outcomeStr}
+                    <span class="history-duration">${durationStr}${overtimeStr}</span>
+                    <button class="icon-btn history-edit" aria-label="Edit session">✎</button>
+                    <button class="icon-btn history-delete" aria-label="Delete session">&times;</button>
                 </li>
             `;
         }).join('');
+
+        elements.historyList.querySelectorAll('.history-item').forEach((item, index) => {
+            const entry = recentHistory[index];
+            item.querySelector('.history-edit').addEventListener('click', () => SessionEditor.open(entry));
+            item.querySelector('.history-delete').addEventListener('click', () => SessionEditor.remove(entry));
+        });
+    }
+
+    /**
+     * Summarize interruptions for a tooltip
+     */
+    function describeInterruptions(interruptions) {
+        return interruptions.map(i => {
+            const kind = i.kind === 'internal' ? 'Internal' : 'External';
+            return i.note ? `${kind}: ${i.note}` : kind;
+        }).join('\n');
     }
 
     /**
@@ -360,103 +502,118 @@ const App = (function() {
     }
 
     /**
-     * Check if date has changed and reset daily stats
+     * Check if date has changed, then roll the stats over and bring
+     * recurring tasks back for the new day
      */
     function checkDateReset() {
         const today = new Date().toDateString();
-        if (stats.lastDate !== today) {
-            // Check if streak should be reset (missed a day)
-            const lastDate = stats.lastStreakDate ? new Date(stats.lastStreakDate) : null;
-            const todayDate = new Date(today);
-
-            if (lastDate) {
-                const daysDiff = Math.floor((todayDate - lastDate) / (1000 * 60 * 60 * 24));
-                if (daysDiff > 1) {
-                    // Missed more than one day, reset streak
-                    stats.streak = 0;
-                }
-            }
-
-            stats.todayPomodoros = 0;
-            stats.todayFocusTime = 0;
-            stats.lastDate = today;
-            saveStats();
+        if (currentDay === today) return;
+
+        // The app may also have been opened on a new day; recurring tasks
+        // that already came back today are left alone
+        const rolledOver = currentDay !== null;
+        currentDay = today;
+        if (rolledOver) {
+            Stats.refresh();
+            renderWeeklyStats();
+            Plan.reload();
         }
+        Tasks.regenerateRecurring();
     }
 
     /**
-     * Update streak when pomodoro is completed
+     * Pick the settings the Timer needs, resolving the active sequence
      */
-    function updateStreak() {
-        const today = new Date().toDateString();
-
-        if (stats.lastStreakDate !== today) {
-            // First pomodoro of the day
-            const lastDate = stats.lastStreakDate ? new Date(stats.lastStreakDate) : null;
-            const todayDate = new Date(today);
-
-            if (lastDate) {
-                const daysDiff = Math.floor((todayDate - lastDate) / (1000 * 60 * 60 * 24));
-                if (daysDiff === 1) {
-                    // Consecutive day
-                    stats.streak++;
-                } else if (daysDiff > 1) {
-                    // Missed days, start new streak
-                    stats.streak = 1;
-                }
-                // daysDiff === 0 means same day, don't increment
-            } else {
-                // First ever pomodoro
-                stats.streak = 1;
+    function getTimerSettings(appSettings) {
+        return {
+            sequence: Sequences.resolve(appSettings),
+            autoStart: appSettings.autoStart,
+            overtime: appSettings.overtime,
+            cycleReset: {
+                idleMinutes: appSettings.cycleResetIdleMinutes,
+                daily: appSettings.cycleResetDaily
             }
-
-            stats.lastStreakDate = today;
-            saveStats();
-        }
+        };
     }
 
     /**
      * Handle settings changes
      */
     function handleSettingsChange(newSettings) {
-        Timer.updateSettings({
-            workDuration: newSettings.workDuration,
-            shortBreakDuration: newSettings.shortBreakDuration,
-            longBreakDuration: newSettings.longBreakDuration,
-            pomodorosUntilLongBreak: newSettings.pomodorosUntilLongBreak
-        });
+        Timer.updateSettings(getTimerSettings(newSettings));
     }
 
     /**
-     * Handle timer completion
+     * Bring this tab up to date with data another tab saved
+     * @param {Object} change - { key, value } from Sync
      */
-    function handleTimerEnd(sessionType) {
-        if (sessionType === 'work') {
-            const workDuration = Settings.get().workDuration;
-
-            // Update stats
-            stats.todayPomodoros++;
-            stats.todayFocusTime += workDuration;
-
-            // Update streak
-            updateStreak();
+    function handleSyncChange({ key, value }) {
+        switch (key) {
+            case HistoryStore.CHANGE_KEY:
+                Stats.refresh();
+                renderHistory();
+                renderWeeklyStats();
+                break;
+            case TASKS_KEY:
+            case ACTIVE_TASK_KEY:
+                Tasks.load(loadTasks(), loadActiveTaskId());
+                updateActiveTaskDisplay(Tasks.getActiveTask());
+                break;
+            case Settings.STORAGE_KEY:
+                Settings.reload();
+                break;
+            case Archive.STORAGE_KEY:
+                Archive.reload();
+                break;
+            case Plan.STORAGE_KEY:
+                Plan.reload();
+                break;
+            case Timer.STORAGE_KEY:
+                if (value) {
+                    Timer.adoptState(JSON.parse(value));
+                }
+                break;
+        }
+    }
 
-            saveStats();
-            updateStatsDisplay();
+    /**
+     * Handle timer completion
+     * @param {Object} details - 'complete' event from the Timer
+     */
+    function handleTimerEnd(details) {
+        const sessionType = details.sessionType;
 
-            // Get active task info before incrementing
-            const activeTask = Tasks.getActiveTask();
-            const taskName = activeTask ? activeTask.text : null;
+        // Add to session history, which the stats follow
+        if (sessionType === 'work') {
+            addWorkEntry({
+                outcome: 'completed',
+                plannedDuration: details.duration,
+                duration: details.duration,
+                label: details.phase.label,
+                endedAt: details.endedAt,
+                interruptions: details.interruptions
+            });
 
             // Increment active task pomodoro count
+            const activeTask = Tasks.getActiveTask();
             if (activeTask) {
                 Tasks.incrementTaskPomodoro(activeTask.id);
             }
-
-            // Add to session history
-            addHistoryEntry(workDuration, taskName);
+        } else {
+            addHistoryEntry({
+                type: 'break',
+                outcome: 'completed',
+                plannedDuration: details.duration,
+                duration: details.duration,
+                label: details.phase.label,
+                endedAt: details.endedAt
+            });
         }
 
+        // Sessions caught up after a reload finished while nobody was
+        // listening; only credit them
+        if (details.replayed) return;
+
         // Play sound notification
         if (Settings.isSoundEnabled()) {
             playNotificationSound(sessionType);
@@ -464,11 +621,12 @@ const App = (function() {
 
         // Show browser notification
         if (Settings.areBrowserNotificationsEnabled()) {
-            showBrowserNotification(sessionType);
+            showBrowserNotification(sessionType, details.overtime);
         }
 
-        // Auto-start next session if enabled
-        if (Settings.isAutoStartEnabled()) {
+        // Auto-start next session if enabled (in overtime the user decides
+        // when the break starts)
+        if (Settings.isAutoStartEnabled() && !details.overtime) {
             setTimeout(() => {
                 Timer.start();
             }, 1000); // 1 second delay before auto-starting
@@ -476,10 +634,107 @@ const App = (function() {
     }
 
     /**
-     * Handle timer tick (for tracking focus time precisely)
+     * Record the extra minutes worked after a focus phase ran into overtime
+     * @param {Object} details - { overtimeSeconds, phase, phaseEndedAt } from the Timer
+     */
+    function handleOvertimeEnd(details) {
+        const overtime = Math.round(details.overtimeSeconds / 60);
+        if (overtime === 0) return;
+
+        // Attach the overtime to the history entry of the pomodoro it extended
+        const phaseEnd = new Date(details.phaseEndedAt).toISOString();
+        HistoryStore.findByTimestamp(phaseEnd, entries => {
+            const entry = entries.find(Stats.isPomodoro);
+            if (entry) {
+                entry.overtime = overtime;
+                HistoryStore.update(entry);
+            }
+        });
+    }
+
+    /**
+     * Ask what interrupted a focus session when the user pauses it
+     */
+    function handlePause(details) {
+        if (Settings.get().interruptionPrompt && !details.phase.isBreak && !details.isOvertime) {
+            Interruptions.showPrompt();
+        }
+    }
+
+    /**
+     * Record a session abandoned part-way as aborted. One abandoned within
+     * its first minute was a false start and isn't recorded.
+     * @param {Object} details - { sessionType, phase, plannedSeconds,
+     *     elapsedSeconds, interruptions, endedAt } from the Timer
+     */
+    function handleSessionAbort(details) {
+        if (details.elapsedSeconds < 60) return;
+
+        const entry = {
+            outcome: 'aborted',
+            plannedDuration: Math.round(details.plannedSeconds / 60),
+            duration: Math.round(details.elapsedSeconds / 60),
+            label: details.phase.label,
+            endedAt: details.endedAt,
+            interruptions: details.interruptions
+        };
+
+        if (details.sessionType === 'work') {
+            addWorkEntry(entry);
+        } else {
+            addHistoryEntry({ ...entry, type: 'break' });
+        }
+    }
+
+    /**
+     * Record a break left before it was over as skipped
+     * @param {Object} details - { phase, plannedSeconds, elapsedSeconds, at } from the Timer
+     */
+    function handleBreakSkip(details) {
+        addHistoryEntry({
+            type: 'break',
+            outcome: 'skipped',
+            plannedDuration: Math.round(details.plannedSeconds / 60),
+            duration: Math.round(details.elapsedSeconds / 60),
+            label: details.phase.label,
+            endedAt: details.at
+        });
+    }
+
+    /**
+     * Take back what the undone timer action recorded: the session aborted
+     * or skipped by a reset, skip or phase switch, or the overtime credited
+     * when overtime ended
+     * @param {Object} details - { action, at, overtimeFrom } from the Timer
+     */
+    function handleTimerUndo(details) {
+        if (details.action === 'reset' || details.action === 'skip' || details.action === 'jump') {
+            const abandonedAt = new Date(details.at).toISOString();
+            HistoryStore.findByTimestamp(abandonedAt, entries => {
+                const entry = entries.find(e => e.outcome !== 'completed');
+                if (entry) {
+                    HistoryStore.remove(entry.id);
+                }
+            });
+        } else if (details.action === 'endOvertime' && details.overtimeFrom) {
+            const phaseEnd = new Date(details.overtimeFrom).toISOString();
+            HistoryStore.findByTimestamp(phaseEnd, entries => {
+                const entry = entries.find(e => e.overtime);
+                if (entry) {
+                    delete entry.overtime;
+                    HistoryStore.update(entry);
+                }
+            });
+        }
+    }
+
+    /**
+     * Dismiss the interruption prompt once the session moves on
      */
-    function handleTick(timeRemaining, sessionType) {
-        // Could be used for more precise time tracking if needed
+    function handleTimerStateChange(timerState) {
+        if (timerState.isRunning || !timerState.isPaused) {
+            Interruptions.hidePrompt();
+        }
     }
 
     /**
@@ -493,36 +748,75 @@ const App = (function() {
     /**
      * Show browser notification
      */
-    function showBrowserNotification(sessionType) {
+    function showBrowserNotification(sessionType, overtime) {
         if (!('Notification' in window)) return;
         if (Notification.permission !== 'granted') return;
 
         const title = sessionType === 'work'
             ? '🍅 Pomodoro Complete!'
             : '☕ Break Over!';
-        const body = sessionType === 'work'
+        let body = sessionType === 'work'
             ? 'Time for a break. Great work!'
             : 'Ready to focus again?';
+        if (overtime) {
+            body = 'Counting overtime. Take a break when you\'re ready.';
+        }
 
         new Notification(title, { body, icon: '🍅' });
     }
 
+    /**
+     * Format minutes as "1h 5m" or "45m"
+     */
+    function formatMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
     /**
      * Update stats display
+     * @param {Object} stats - stats worked out from the history
      */
-    function updateStatsDisplay() {
+    function updateStatsDisplay(stats) {
         elements.todayPomodoros.textContent = stats.todayPomodoros;
+        elements.todayFocusTime.textContent = formatMinutes(stats.todayFocusTime);
 
-        const hours = Math.floor(stats.todayFocusTime / 60);
-        const minutes = stats.todayFocusTime % 60;
+        const overtime = stats.todayOvertime;
+        elements.todayOvertime.textContent = `+${formatMinutes(overtime)} overtime`;
+        elements.todayOvertime.classList.toggle('hidden', overtime === 0);
 
-        if (hours > 0) {
-            elements.todayFocusTime.textContent = `${hours}h ${minutes}m`;
-        } else {
-            elements.todayFocusTime.textContent = `${minutes}m`;
-        }
+        const { taken, skipped } = stats.breaks;
+        elements.todayBreaks.textContent = `${taken} of ${taken + skipped} ${taken + skipped === 1 ? 'break' : 'breaks'} taken`;
+        elements.todayBreaks.classList.toggle('hidden', taken + skipped === 0);
+
+        elements.streakCount.textContent = stats.streak;
+        elements.streakFreezesLeft.textContent = `❄ ${stats.freezesLeft} ${stats.freezesLeft === 1 ? 'freeze' : 'freezes'} left`;
+        elements.streakFreezesLeft.classList.toggle('hidden', Settings.get().streakFreezes === 0);
 
-        elements.streakCount.textContent = stats.streak || 0;
+        renderGoalProgress(stats.goal);
+        Plan.setDoneToday(stats);
+    }
+
+    /**
+     * Render progress towards the daily goal as a ring
+     * @param {Object} goal - { unit, target, progress, met }
+     */
+    function renderGoalProgress(goal) {
+        const inMinutes = goal.unit === 'minutes';
+        const percent = Math.min(100, (goal.progress / goal.target) * 100);
+
+        elements.goalRingFill.style.strokeDasharray = `${percent} 100`;
+        elements.goalProgress.classList.toggle('met', goal.met);
+        elements.goalProgress.setAttribute('aria-valuemax', goal.target);
+        elements.goalProgress.setAttribute('aria-valuenow', Math.min(goal.progress, goal.target));
+        elements.goalProgress.setAttribute('aria-valuetext', inMinutes
+            ? `${goal.progress} of ${goal.target} minutes`
+            : `${goal.progress} of ${goal.target} pomodoros`);
+        elements.goalProgressValue.textContent = inMinutes
+            ? `${goal.progress}/${goal.target}m`
+            : `${goal.progress}/${goal.target}`;
+        elements.goalProgressLabel.textContent = goal.met ? 'Goal Met' : 'Daily Goal';
     }
 
     // Initialize when DOM is ready
@@ -0,0 +1,284 @@
+/**
+ * Archive Module
+ * Keeps the tasks cleared from the list as a searchable record of what
+ * was done, and restores them to the list on request
+ */
+
+const Archive = (function() {
+    const STORAGE_KEY = 'pomodoro_task_archive';
+
+    let archive = [];
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('archive-modal'),
+        openBtn: document.getElementById('open-archive-btn'),
+        closeBtn: document.getElementById('close-archive'),
+        search: document.getElementById('archive-search'),
+        tag: document.getElementById('archive-tag'),
+        from: document.getElementById('archive-from'),
+        to: document.getElementById('archive-to'),
+        count: document.getElementById('archive-count'),
+        list: document.getElementById('archive-list')
+    };
+
+    /**
+     * Initialize the archive
+     */
+    function init() {
+        load();
+        bindEvents();
+
+        Tasks.on('clearCompleted', ({ tasks }) => add(tasks));
+        Tasks.on('undo', handleTaskHistory);
+        Tasks.on('redo', handleTaskHistory);
+    }
+
+    /**
+     * Load the archive from localStorage
+     */
+    function load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            archive = saved ? JSON.parse(saved) : [];
+        } catch (e) {
+            console.error('Failed to load task archive:', e);
+            archive = [];
+        }
+    }
+
+    /**
+     * Reload the archive, e.g. after another tab changed it
+     */
+    function reload() {
+        load();
+        if (isOpen()) {
+            render();
+        }
+    }
+
+    /**
+     * Save the archive to localStorage
+     */
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(archive));
+        } catch (e) {
+            console.error('Failed to save task archive:', e);
+        }
+    }
+
+    /**
+     * Bind UI events
+     */
+    function bindEvents() {
+        elements.openBtn.addEventListener('click', open);
+        elements.closeBtn.addEventListener('click', close);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        [elements.search, elements.tag, elements.from, elements.to].forEach(input => {
+            input.addEventListener('input', render);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && isOpen()) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+    }
+
+    /**
+     * Keep the archive in step when undo or redo moves tasks on or off the
+     * list: tasks back on the list leave the archive, and a redone clear
+     * archives them again
+     */
+    function handleTaskHistory({ action, restored, removed }) {
+        if (restored.length > 0) {
+            remove(restored.map(t => t.id));
+        }
+        if (action === 'clear' && removed.length > 0) {
+            add(removed);
+        }
+    }
+
+    /**
+     * Archive tasks cleared from the list
+     * @param {Object[]} tasks - completed tasks
+     */
+    function add(tasks) {
+        const archivedAt = new Date().toISOString();
+        const ids = tasks.map(t => t.id);
+        archive = archive.filter(entry => !ids.includes(entry.id))
+            .concat(tasks.map(task => ({ ...task, archivedAt })));
+        save();
+        if (isOpen()) {
+            render();
+        }
+    }
+
+    /**
+     * Drop tasks from the archive
+     */
+    function remove(ids) {
+        archive = archive.filter(entry => !ids.includes(entry.id));
+        save();
+        if (isOpen()) {
+            render();
+        }
+    }
+
+    /**
+     * Put an archived task back on the task list
+     */
+    function restore(id) {
+        const entry = archive.find(e => e.id === id);
+        if (!entry) return;
+
+        if (Tasks.restoreTask(entry)) {
+            remove([id]);
+            Toast.show(`Restored "${entry.text}"`);
+        }
+    }
+
+    /**
+     * Get the local date key of when an archived task was completed
+     */
+    function getCompletedDate(entry) {
+        return Recurrence.toDateKey(new Date(entry.completedAt || entry.archivedAt));
+    }
+
+    /**
+     * Find archived tasks, most recently completed first
+     * @param {Object} [query] - { text, tag, from, to }; from and to are
+     *     inclusive YYYY-MM-DD completion dates
+     * @returns {Object[]} matching archived tasks
+     */
+    function search(query = {}) {
+        const text = (query.text || '').trim().toLowerCase();
+
+        return archive
+            .filter(entry => {
+                if (text && !`${entry.text} ${entry.notes || ''}`.toLowerCase().includes(text)) return false;
+                if (query.tag && !(entry.tags || []).includes(query.tag)) return false;
+
+                const completed = getCompletedDate(entry);
+                if (query.from && completed < query.from) return false;
+                if (query.to && completed > query.to) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.completedAt || b.archivedAt) - new Date(a.completedAt || a.archivedAt));
+    }
+
+    /**
+     * Get every archived task
+     */
+    function getEntries() {
+        return [...archive];
+    }
+
+    /**
+     * Check whether the archive panel is open
+     */
+    function isOpen() {
+        return !elements.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Open the archive panel
+     */
+    function open() {
+        elements.modal.classList.remove('hidden');
+        render();
+        elements.search.focus();
+    }
+
+    /**
+     * Close the archive panel
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+    }
+
+    /**
+     * Offer the tags used in the archive as a filter
+     */
+    function renderTagOptions() {
+        const selected = elements.tag.value;
+        const tags = [...new Set(archive.flatMap(entry => entry.tags || []))].sort();
+
+        elements.tag.innerHTML = '<option value="">Any tag</option>';
+        tags.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = `#${tag}`;
+            elements.tag.appendChild(option);
+        });
+        elements.tag.value = tags.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Render the archived tasks matching the search
+     */
+    function render() {
+        renderTagOptions();
+
+        const results = search({
+            text: elements.search.value,
+            tag: elements.tag.value,
+            from: elements.from.value,
+            to: elements.to.value
+        });
+
+        elements.count.textContent = archive.length === 0
+            ? 'No archived tasks yet. Cleared tasks are kept here.'
+            : `${results.length} of ${archive.length} archived ${archive.length === 1 ? 'task' : 'tasks'}`;
+
+        elements.list.innerHTML = '';
+        results.forEach(entry => {
+            const estimated = entry.estimatedPomodoros || 1;
+            const actual = entry.actualPomodoros || 0;
+            const badges = [entry.project, ...(entry.tags || []).map(tag => `#${tag}`)]
+                .filter(Boolean)
+                .map(label => `<span class="task-badge">${escapeHtml(label)}</span>`)
+                .join('');
+
+            const li = document.createElement('li');
+            li.className = 'archive-item';
+            li.innerHTML = `
+                <div class="archive-details">
+                    <span class="archive-text">${escapeHtml(entry.text)}</span>
+                    ${badges}
+                    <span class="archive-date">Completed ${TaskDetail.formatDueDate(getCompletedDate(entry))}</span>
+                </div>
+                <span class="archive-pomodoros${actual > estimated ? ' over' : ''}" title="Actual / estimated pomodoros">${actual}/${estimated} 🍅</span>
+                <button class="text-btn restore-btn" aria-label="Restore ${escapeHtml(entry.text)}">Restore</button>
+            `;
+            li.querySelector('.restore-btn').addEventListener('click', () => restore(entry.id));
+            elements.list.appendChild(li);
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        STORAGE_KEY,
+        init,
+        reload,
+        open,
+        close,
+        search,
+        getEntries,
+        restore
+    };
+})();
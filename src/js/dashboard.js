@@ -0,0 +1,356 @@
+/**
+ * Dashboard Module
+ * Long-term statistics from the session history: a calendar heatmap of
+ * the year, monthly totals, a day-by-day view of any month, when in the
+ * day and week focus happens, the best days, and how many breaks were taken
+ */
+
+const Dashboard = (function() {
+    const HEATMAP_LEVELS = 4;
+    const BEST_DAYS = 5;
+    const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+    let year = new Date().getFullYear();
+    // First day of the month shown day by day
+    let month = startOfMonth(new Date());
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('dashboard-modal'),
+        openBtn: document.getElementById('open-dashboard-btn'),
+        closeBtn: document.getElementById('close-dashboard'),
+        yearLabel: document.getElementById('dashboard-year'),
+        yearPrev: document.getElementById('dashboard-year-prev'),
+        yearNext: document.getElementById('dashboard-year-next'),
+        total: document.getElementById('dashboard-total'),
+        activeDays: document.getElementById('dashboard-active-days'),
+        average: document.getElementById('dashboard-average'),
+        breaks: document.getElementById('dashboard-breaks'),
+        heatmap: document.getElementById('dashboard-heatmap'),
+        months: document.getElementById('dashboard-months'),
+        monthLabel: document.getElementById('dashboard-month'),
+        monthPrev: document.getElementById('dashboard-month-prev'),
+        monthNext: document.getElementById('dashboard-month-next'),
+        monthChart: document.getElementById('dashboard-month-chart'),
+        monthTotal: document.getElementById('dashboard-month-total'),
+        hours: document.getElementById('dashboard-hours'),
+        weekdays: document.getElementById('dashboard-weekdays'),
+        bestDays: document.getElementById('dashboard-best-days')
+    };
+
+    /**
+     * Initialize the dashboard
+     */
+    function init() {
+        elements.openBtn.addEventListener('click', open);
+        elements.closeBtn.addEventListener('click', close);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && isOpen()) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+
+        elements.yearPrev.addEventListener('click', () => showYear(year - 1));
+        elements.yearNext.addEventListener('click', () => showYear(year + 1));
+        elements.monthPrev.addEventListener('click', () => showMonth(addMonths(month, -1)));
+        elements.monthNext.addEventListener('click', () => showMonth(addMonths(month, 1)));
+
+        HistoryStore.on('change', () => {
+            if (isOpen()) {
+                render();
+            }
+        });
+    }
+
+    /**
+     * Get the first day of the month a date falls in
+     */
+    function startOfMonth(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+
+    /**
+     * Get the first day of the month some months from another
+     */
+    function addMonths(date, months) {
+        return new Date(date.getFullYear(), date.getMonth() + months, 1);
+    }
+
+    /**
+     * Count pomodoros per month of the year
+     * @returns {number[]} counts, January first
+     */
+    function getMonthlyTotals(sessions) {
+        const totals = new Array(12).fill(0);
+        sessions.forEach(entry => {
+            if (Stats.isPomodoro(entry)) {
+                totals[new Date(entry.timestamp).getMonth()]++;
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Count pomodoros by the hour of the day and the day of the week they
+     * finished in
+     * @returns {Object} { hours: 24 counts from midnight, weekdays: 7 counts
+     *     from Sunday }
+     */
+    function getDistribution(sessions) {
+        const hours = new Array(24).fill(0);
+        const weekdays = new Array(7).fill(0);
+        sessions.forEach(entry => {
+            if (!Stats.isPomodoro(entry)) return;
+            const date = new Date(entry.timestamp);
+            hours[date.getHours()]++;
+            weekdays[date.getDay()]++;
+        });
+        return { hours, weekdays };
+    }
+
+    /**
+     * Find the days with the most pomodoros, earlier days first on a tie
+     * @param {Object} dayCounts - counts keyed by YYYY-MM-DD
+     * @returns {Object[]} days as { date, count }
+     */
+    function getBestDays(dayCounts, limit = BEST_DAYS) {
+        return Object.entries(dayCounts)
+            .map(([date, count]) => ({ date, count }))
+            .sort((a, b) => b.count - a.count || a.date.localeCompare(b.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Average pomodoros over the days with at least one
+     */
+    function getAverage(dayCounts) {
+        const counts = Object.values(dayCounts);
+        return counts.length ? counts.reduce((sum, count) => sum + count, 0) / counts.length : 0;
+    }
+
+    /**
+     * Check whether the dashboard is open
+     */
+    function isOpen() {
+        return !elements.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Open the dashboard on the current year and month
+     */
+    function open() {
+        year = new Date().getFullYear();
+        month = startOfMonth(new Date());
+        elements.modal.classList.remove('hidden');
+        render();
+        elements.closeBtn.focus();
+    }
+
+    /**
+     * Close the dashboard
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+    }
+
+    /**
+     * Show another year
+     */
+    function showYear(newYear) {
+        year = newYear;
+        renderYear();
+    }
+
+    /**
+     * Show another month day by day
+     */
+    function showMonth(newMonth) {
+        month = newMonth;
+        renderMonth();
+    }
+
+    /**
+     * Render the whole dashboard
+     */
+    function render() {
+        renderYear();
+        renderMonth();
+    }
+
+    /**
+     * Render the year's summary, heatmap, monthly totals, distribution and
+     * best days
+     */
+    function renderYear() {
+        elements.yearLabel.textContent = year;
+        elements.yearNext.disabled = year >= new Date().getFullYear();
+
+        HistoryStore.getRange(new Date(year, 0, 1), new Date(year + 1, 0, 1), sessions => {
+            const dayCounts = Stats.countByDay(sessions);
+            const total = Object.values(dayCounts).reduce((sum, count) => sum + count, 0);
+
+            elements.total.textContent = total;
+            elements.activeDays.textContent = Object.keys(dayCounts).length;
+            elements.average.textContent = formatAverage(getAverage(dayCounts));
+
+            const { taken, skipped, rate } = Stats.getBreakAdherence(sessions);
+            elements.breaks.textContent = rate === null ? '–' : `${Math.round(rate * 100)}%`;
+            elements.breaks.parentElement.title = `${taken} taken, ${skipped} skipped`;
+
+            renderHeatmap(dayCounts);
+            renderMonthlyTotals(getMonthlyTotals(sessions));
+
+            const { hours, weekdays } = getDistribution(sessions);
+            renderBars(elements.hours, hours.map((count, hour) => ({
+                count,
+                label: hour % 6 === 0 ? String(hour) : '',
+                title: `${String(hour).padStart(2, '0')}:00–${String(hour + 1).padStart(2, '0')}:00: ${formatCount(count)}`
+            })));
+            renderBars(elements.weekdays, weekdays.map((count, day) => ({
+                count,
+                label: DAY_LABELS[day],
+                title: `${new Date(2023, 0, day + 1).toLocaleDateString(undefined, { weekday: 'long' })}: ${formatCount(count)}`
+            })));
+
+            renderBestDays(getBestDays(dayCounts));
+        });
+    }
+
+    /**
+     * Render one square per day of the year, in week columns, shaded by
+     * how many pomodoros were done
+     */
+    function renderHeatmap(dayCounts) {
+        const max = Math.max(1, ...Object.values(dayCounts));
+        const todayKey = Recurrence.toDateKey(new Date());
+        const first = new Date(year, 0, 1);
+        // Blank cells line January 1st up with its weekday row
+        const cells = Array.from({ length: first.getDay() }, () => '<span class="heatmap-cell blank"></span>');
+
+        for (const date = new Date(first); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+            const key = Recurrence.toDateKey(date);
+            const count = dayCounts[key] || 0;
+            const level = Math.ceil((count / max) * HEATMAP_LEVELS);
+            const classes = ['heatmap-cell', `level-${level}`];
+            if (key === todayKey) classes.push('today');
+            if (key > todayKey) classes.push('future');
+
+            const label = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            cells.push(`<span class="${classes.join(' ')}" title="${label}: ${formatCount(count)}"></span>`);
+        }
+
+        elements.heatmap.innerHTML = cells.join('');
+    }
+
+    /**
+     * Render the monthly totals; picking a month shows it day by day
+     */
+    function renderMonthlyTotals(totals) {
+        renderBars(elements.months, totals.map((count, index) => ({
+            count,
+            label: new Date(year, index, 1).toLocaleDateString(undefined, { month: 'narrow' }),
+            title: `${new Date(year, index, 1).toLocaleDateString(undefined, { month: 'long' })}: ${formatCount(count)}`,
+            current: year === month.getFullYear() && index === month.getMonth()
+        })));
+
+        elements.months.querySelectorAll('.weekly-bar').forEach((bar, index) => {
+            bar.addEventListener('click', () => showMonth(new Date(year, index, 1)));
+        });
+    }
+
+    /**
+     * Render the chosen month day by day
+     */
+    function renderMonth() {
+        const next = addMonths(month, 1);
+        elements.monthLabel.textContent = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        elements.monthNext.disabled = next > new Date();
+
+        HistoryStore.getRange(month, next, sessions => {
+            const dayCounts = Stats.countByDay(sessions);
+            const todayKey = Recurrence.toDateKey(new Date());
+            const days = [];
+            for (const date = new Date(month); date < next; date.setDate(date.getDate() + 1)) {
+                const key = Recurrence.toDateKey(date);
+                days.push({
+                    count: dayCounts[key] || 0,
+                    label: date.getDate() === 1 || date.getDate() % 5 === 0 ? String(date.getDate()) : '',
+                    title: `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}: ${formatCount(dayCounts[key] || 0)}`,
+                    current: key === todayKey
+                });
+            }
+            renderBars(elements.monthChart, days);
+
+            const total = days.reduce((sum, day) => sum + day.count, 0);
+            elements.monthTotal.textContent = `${formatCount(total)} · ${formatAverage(getAverage(dayCounts))} per active day`;
+        });
+
+        // Keep the month highlighted in the totals in step
+        elements.months.querySelectorAll('.weekly-bar-fill').forEach((fill, index) => {
+            fill.classList.toggle('today', year === month.getFullYear() && index === month.getMonth());
+        });
+    }
+
+    /**
+     * Render a bar chart
+     * @param {HTMLElement} container - chart element
+     * @param {Object[]} bars - { count, label, title, current }
+     */
+    function renderBars(container, bars) {
+        const max = Math.max(1, ...bars.map(bar => bar.count));
+        container.innerHTML = bars.map(bar => `
+            <div class="weekly-bar" title="${bar.title}">
+                <div class="weekly-bar-fill${bar.current ? ' today' : ''}" style="height: ${(bar.count / max) * 60}px"></div>
+                <span class="weekly-bar-label">${bar.label}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the best days of the year
+     */
+    function renderBestDays(days) {
+        if (days.length === 0) {
+            elements.bestDays.innerHTML = '<li class="history-empty">No pomodoros this year</li>';
+            return;
+        }
+
+        elements.bestDays.innerHTML = days.map(day => `
+            <li class="best-day">
+                <span>${new Date(`${day.date}T00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                <span class="best-day-count">${formatCount(day.count)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Format a number of pomodoros, e.g. "3 pomodoros"
+     */
+    function formatCount(count) {
+        return `${count} ${count === 1 ? 'pomodoro' : 'pomodoros'}`;
+    }
+
+    /**
+     * Format an average to one decimal place, dropping a trailing ".0"
+     */
+    function formatAverage(average) {
+        return String(Math.round(average * 10) / 10);
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        getMonthlyTotals,
+        getDistribution,
+        getBestDays,
+        getAverage
+    };
+})();
@@ -0,0 +1,340 @@
+/**
+ * Estimates Module
+ * Compares estimated with actual pomodoros across completed tasks and
+ * suggests a correction for new estimates based on past bias
+ */
+
+const Estimates = (function() {
+    // Fewer completed tasks than this say too little about a bias
+    const MIN_SAMPLES = 3;
+    // Only the most recent tasks count toward the correction factor
+    const RECENT_SAMPLES = 30;
+    // Biases smaller than this aren't worth a suggestion
+    const MIN_CORRECTION = 0.1;
+    const TREND_WEEKS = 8;
+    const MAX_ESTIMATE = 10;
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('estimates-modal'),
+        openBtn: document.getElementById('open-estimates-btn'),
+        closeBtn: document.getElementById('close-estimates'),
+        summary: document.getElementById('estimate-summary'),
+        overrun: document.getElementById('estimate-overrun'),
+        overrunPercent: document.getElementById('estimate-overrun-percent'),
+        accuracy: document.getElementById('estimate-accuracy'),
+        factor: document.getElementById('estimate-factor'),
+        trend: document.getElementById('estimate-trend'),
+        group: document.getElementById('estimate-group'),
+        breakdown: document.getElementById('estimate-breakdown')
+    };
+
+    /**
+     * Initialize estimate analytics
+     */
+    function init() {
+        elements.openBtn.addEventListener('click', open);
+        elements.closeBtn.addEventListener('click', close);
+        elements.group.addEventListener('change', renderBreakdown);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && isOpen()) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+
+        Tasks.on('add', ({ task }) => suggestCorrection(task));
+        Tasks.on('change', () => {
+            if (isOpen()) {
+                render();
+            }
+        });
+    }
+
+    /**
+     * Collect estimate/actual pairs from completed tasks on the list and in
+     * the archive, including past occurrences of recurring tasks. Tasks
+     * finished without a pomodoro say nothing about the estimate.
+     * @returns {Object[]} samples as { estimated, actual, completedAt,
+     *     project, tags }
+     */
+    function getSamples() {
+        const seen = new Set();
+        const samples = [];
+
+        [...Tasks.getTasks(), ...Archive.getEntries()].forEach(task => {
+            if (seen.has(task.id)) return;
+            seen.add(task.id);
+
+            const addSample = (actual, completedAt) => {
+                if (!actual) return;
+                samples.push({
+                    estimated: task.estimatedPomodoros || 1,
+                    actual,
+                    completedAt,
+                    project: task.project || null,
+                    tags: task.tags || []
+                });
+            };
+
+            (task.occurrences || []).forEach(occurrence => {
+                if (occurrence.completed) {
+                    addSample(occurrence.actualPomodoros, occurrence.completedAt || `${occurrence.date}T12:00`);
+                }
+            });
+            if (task.completed) {
+                addSample(task.actualPomodoros, task.completedAt);
+            }
+        });
+
+        return samples.sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+    }
+
+    /**
+     * Summarize how far actuals ran from estimates
+     * @returns {Object} { count, overrun: average pomodoros over the
+     *     estimate, factor: actual / estimated pomodoros, accuracy: average
+     *     of the smaller over the larger of estimate and actual, 0-1 }
+     */
+    function summarize(samples) {
+        const estimated = samples.reduce((sum, s) => sum + s.estimated, 0);
+        const actual = samples.reduce((sum, s) => sum + s.actual, 0);
+        const accuracy = samples.reduce((sum, s) =>
+            sum + Math.min(s.estimated, s.actual) / Math.max(s.estimated, s.actual), 0);
+
+        return {
+            count: samples.length,
+            overrun: samples.length ? (actual - estimated) / samples.length : 0,
+            factor: estimated ? actual / estimated : 1,
+            accuracy: samples.length ? accuracy / samples.length : 0
+        };
+    }
+
+    /**
+     * Get the start (Sunday midnight) of the week a date falls in
+     */
+    function getWeekStart(date) {
+        const weekStart = new Date(date);
+        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+        weekStart.setHours(0, 0, 0, 0);
+        return weekStart;
+    }
+
+    /**
+     * Summarize each of the last weeks, oldest first
+     * @returns {Object[]} summaries with the weekStart they cover
+     */
+    function getWeeklyTrend(samples, weeks = TREND_WEEKS) {
+        const thisWeek = getWeekStart(new Date());
+
+        return Array.from({ length: weeks }, (_, index) => {
+            const weekStart = new Date(thisWeek);
+            weekStart.setDate(thisWeek.getDate() - (weeks - 1 - index) * 7);
+            const weekEnd = new Date(weekStart);
+            weekEnd.setDate(weekStart.getDate() + 7);
+
+            const inWeek = samples.filter(s => {
+                const completed = new Date(s.completedAt);
+                return completed >= weekStart && completed < weekEnd;
+            });
+            return { weekStart, ...summarize(inWeek) };
+        });
+    }
+
+    /**
+     * Summarize samples per project or per tag, most used first
+     * @param {string} by - 'project' or 'tag'
+     * @returns {Object[]} summaries with the name they cover
+     */
+    function getBreakdown(samples, by) {
+        const groups = {};
+        samples.forEach(sample => {
+            const names = by === 'tag' ? sample.tags : [sample.project || ''];
+            names.forEach(name => {
+                (groups[name] = groups[name] || []).push(sample);
+            });
+        });
+
+        return Object.entries(groups)
+            .map(([name, groupSamples]) => ({ name, ...summarize(groupSamples) }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Work out how much to scale a task's estimate by, from recent tasks in
+     * its project or, failing enough of those, all recent tasks
+     * @returns {Object|null} { factor, project, count }, or null without
+     *     enough history
+     */
+    function getCorrection(task) {
+        const samples = getSamples();
+        const projectSamples = task.project ? samples.filter(s => s.project === task.project) : [];
+        const basis = projectSamples.length >= MIN_SAMPLES ? projectSamples : samples;
+        if (basis.length < MIN_SAMPLES) return null;
+
+        const recent = basis.slice(-RECENT_SAMPLES);
+        return {
+            factor: summarize(recent).factor,
+            project: basis === projectSamples ? task.project : null,
+            count: recent.length
+        };
+    }
+
+    /**
+     * Offer a corrected estimate for a newly added task when past estimates
+     * have been consistently off
+     */
+    function suggestCorrection(task) {
+        const correction = getCorrection(task);
+        if (!correction || Math.abs(correction.factor - 1) < MIN_CORRECTION) return;
+
+        const estimate = task.estimatedPomodoros || 1;
+        const suggested = Math.max(1, Math.min(MAX_ESTIMATE, Math.round(estimate * correction.factor)));
+        if (suggested === estimate) return;
+
+        const scope = correction.project ? `${correction.project} tasks` : 'Tasks';
+        Toast.show(`${scope} usually take ${formatFactor(correction.factor)} your estimate. Make it ${suggested} 🍅?`, {
+            actionLabel: `Use ${suggested}`,
+            onAction: () => Tasks.updateTask(task.id, { estimatedPomodoros: suggested }),
+            duration: 10000
+        });
+    }
+
+    /**
+     * Format a correction factor, e.g. "1.3×"
+     */
+    function formatFactor(factor) {
+        return `${factor.toFixed(1)}×`;
+    }
+
+    /**
+     * Format an overrun as a signed percentage of the estimate, e.g. "+30%"
+     */
+    function formatPercent(factor) {
+        const percent = Math.round((factor - 1) * 100);
+        return `${percent > 0 ? '+' : ''}${percent}%`;
+    }
+
+    /**
+     * Check whether the analytics panel is open
+     */
+    function isOpen() {
+        return !elements.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Open the analytics panel
+     */
+    function open() {
+        elements.modal.classList.remove('hidden');
+        render();
+        elements.closeBtn.focus();
+    }
+
+    /**
+     * Close the analytics panel
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+    }
+
+    /**
+     * Render the analytics panel
+     */
+    function render() {
+        const samples = getSamples();
+        const summary = summarize(samples);
+
+        if (samples.length === 0) {
+            elements.summary.textContent = 'Complete tasks you spent pomodoros on to compare estimates with actuals.';
+        } else {
+            const percent = Math.round(Math.abs(summary.factor - 1) * 100);
+            const verdict = percent === 0
+                ? 'matched the estimates'
+                : `ran ${percent}% ${summary.factor > 1 ? 'over' : 'under'} estimate`;
+            elements.summary.textContent = `Across ${samples.length} completed ${samples.length === 1 ? 'task' : 'tasks'}, work ${verdict}.`;
+        }
+
+        elements.overrun.textContent = `${summary.overrun > 0 ? '+' : ''}${summary.overrun.toFixed(1)}`;
+        elements.overrunPercent.textContent = samples.length ? formatPercent(summary.factor) : '–';
+        elements.accuracy.textContent = samples.length ? `${Math.round(summary.accuracy * 100)}%` : '–';
+
+        const correction = samples.length >= MIN_SAMPLES ? summarize(samples.slice(-RECENT_SAMPLES)).factor : null;
+        elements.factor.textContent = correction !== null && Math.abs(correction - 1) >= MIN_CORRECTION
+            ? `Suggested correction for new estimates: ${formatFactor(correction)}`
+            : '';
+
+        renderTrend(samples);
+        renderBreakdown();
+    }
+
+    /**
+     * Render weekly accuracy as bars
+     */
+    function renderTrend(samples) {
+        elements.trend.innerHTML = getWeeklyTrend(samples).map(week => {
+            const percent = Math.round(week.accuracy * 100);
+            const label = week.weekStart.toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' });
+            const title = week.count
+                ? `Week of ${label}: ${percent}% accurate over ${week.count} ${week.count === 1 ? 'task' : 'tasks'} (${formatPercent(week.factor)})`
+                : `Week of ${label}: no completed tasks`;
+            return `
+                <div class="weekly-bar" title="${title}">
+                    <span class="weekly-bar-count">${week.count ? `${percent}%` : ''}</span>
+                    <div class="weekly-bar-fill" style="height: ${week.accuracy * 60}px"></div>
+                    <span class="weekly-bar-label">${label}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render accuracy per project or per tag
+     */
+    function renderBreakdown() {
+        const by = elements.group.value;
+        const rows = getBreakdown(getSamples(), by);
+
+        if (rows.length === 0) {
+            elements.breakdown.innerHTML = '<li class="history-empty">No completed tasks yet</li>';
+            return;
+        }
+
+        elements.breakdown.innerHTML = rows.map(row => {
+            const name = row.name ? escapeHtml(by === 'tag' ? `#${row.name}` : row.name) : 'No project';
+            return `
+                <li class="project-row" title="${row.count} ${row.count === 1 ? 'task' : 'tasks'}, ${Math.round(row.accuracy * 100)}% accurate">
+                    <span class="project-name${row.name ? '' : ' no-project'}">${name}</span>
+                    <span class="project-bar"><span class="project-bar-fill" style="width: ${row.accuracy * 100}%"></span></span>
+                    <span class="project-minutes">${formatPercent(row.factor)}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        getSamples,
+        summarize,
+        getWeeklyTrend,
+        getBreakdown,
+        getCorrection
+    };
+})();
@@ -0,0 +1,69 @@
+/**
+ * Events Module
+ * Minimal event emitter the app modules use to publish lifecycle events
+ */
+
+const Events = (function() {
+    /**
+     * Create an emitter with on/off/once/emit
+     */
+    function createEmitter() {
+        const listeners = {};
+
+        /**
+         * Subscribe to an event
+         * @returns {Function} unsubscribe
+         */
+        function on(event, listener) {
+            if (!listeners[event]) {
+                listeners[event] = [];
+            }
+            listeners[event].push(listener);
+            return () => off(event, listener);
+        }
+
+        /**
+         * Subscribe to the next occurrence of an event only
+         * @returns {Function} unsubscribe
+         */
+        function once(event, listener) {
+            const unsubscribe = on(event, (payload) => {
+                unsubscribe();
+                listener(payload);
+            });
+            return unsubscribe;
+        }
+
+        /**
+         * Unsubscribe from an event
+         */
+        function off(event, listener) {
+            if (!listeners[event]) return;
+            listeners[event] = listeners[event].filter(l => l !== listener);
+        }
+
+        /**
+         * Notify every subscriber; a failing listener doesn't stop the others
+         */
+        function emit(event, payload) {
+            (listeners[event] || []).slice().forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (e) {
+                    console.error(`Error in "${event}" listener:`, e);
+                }
+            });
+        }
+
+        return { on, once, off, emit };
+    }
+
+    // Public API
+    return {
+        createEmitter
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Events;
+}
@@ -0,0 +1,247 @@
+/**
+ * History Store Module
+ * Keeps every recorded session in IndexedDB, indexed by date.
+ * Session history used to live in localStorage, capped at 50 sessions;
+ * that list is moved over the first time the store opens.
+ *
+ * A session is { id, timestamp (end), type: 'work' or 'break', outcome:
+ * 'completed', 'skipped' or 'aborted', plannedDuration and duration (time
+ * actually spent) in minutes, task, project, tags, label, interruptions,
+ * and overtime for focus sessions run past their end }.
+ */
+
+const HistoryStore = (function() {
+    const DB_NAME = 'pomodoro';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'sessions';
+    const LEGACY_KEY = 'pomodoro_history';
+    // Bumped on every write so other tabs, which get no IndexedDB events,
+    // hear about it through storage events
+    const CHANGE_KEY = 'pomodoro_history_changed';
+
+    let db = null;
+    let ready = false;
+    // Work asked for before the database finished opening
+    let pending = [];
+
+    // Events: change (sessions added, updated or removed in this tab)
+    const emitter = Events.createEmitter();
+
+    /**
+     * Open the database, moving any history kept in localStorage into it
+     * @param {Function} [callback] - called once the store can be used
+     */
+    function init(callback) {
+        if (callback) {
+            pending.push(callback);
+        }
+        if (!window.indexedDB) {
+            console.error('Failed to open history: IndexedDB is not available');
+            finishOpening();
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            // Only the first tab to open the database runs the upgrade, so
+            // the old history is moved exactly once
+            if (e.oldVersion === 0) {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('date', 'timestamp');
+                loadLegacyHistory().forEach(entry => store.add(upgradeEntry(entry)));
+            }
+        };
+        request.onsuccess = () => {
+            db = request.result;
+            db.onversionchange = () => db.close();
+            localStorage.removeItem(LEGACY_KEY);
+            finishOpening();
+        };
+        request.onerror = () => {
+            console.error('Failed to open history:', request.error);
+            finishOpening();
+        };
+    }
+
+    /**
+     * Run the work queued while the database was opening
+     */
+    function finishOpening() {
+        ready = true;
+        const queued = pending;
+        pending = [];
+        queued.forEach(fn => fn());
+    }
+
+    /**
+     * Read the session list the app kept in localStorage before this store
+     */
+    function loadLegacyHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LEGACY_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.error('Failed to migrate history:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Bring a session recorded before breaks and abandoned sessions were
+     * kept up to date: it was a focus session, voided if abandoned, and
+     * abandoned ones didn't keep their planned length
+     */
+    function upgradeEntry(entry) {
+        const { voided, ...rest } = entry;
+        return {
+            ...rest,
+            type: 'work',
+            outcome: voided ? 'aborted' : 'completed',
+            plannedDuration: voided ? null : entry.duration
+        };
+    }
+
+    /**
+     * Run a transaction on the sessions store once the database is open
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operate - given the store, returns the request whose
+     *     result is wanted
+     * @param {Function} [callback] - gets the result once the transaction
+     *     completes, or the fallback if the store can't be used
+     * @param {*} [fallback] - result when the store is unavailable
+     */
+    function run(mode, operate, callback, fallback) {
+        if (!ready) {
+            pending.push(() => run(mode, operate, callback, fallback));
+            return;
+        }
+        const done = callback || (() => {});
+        if (!db) {
+            done(fallback);
+            return;
+        }
+
+        try {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operate(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => {
+                if (mode === 'readwrite') {
+                    notifyChange();
+                }
+                done(request ? request.result : undefined);
+            };
+            transaction.onerror = () => {
+                console.error(`Failed to ${mode === 'readwrite' ? 'save' : 'load'} history:`, transaction.error);
+                done(fallback);
+            };
+        } catch (e) {
+            console.error('Failed to access history:', e);
+            done(fallback);
+        }
+    }
+
+    /**
+     * Tell this tab and the others that the history changed
+     */
+    function notifyChange() {
+        try {
+            localStorage.setItem(CHANGE_KEY, String(Date.now()));
+        } catch (e) {
+            console.error('Failed to announce history change:', e);
+        }
+        emitter.emit('change');
+    }
+
+    /**
+     * Record a session
+     * @param {Object} entry - session without an id
+     * @param {Function} [callback] - gets the new session's id
+     */
+    function add(entry, callback) {
+        run('readwrite', store => store.add(entry), callback, null);
+    }
+
+    /**
+     * Save changes to a recorded session
+     * @param {Object} entry - session with its id
+     */
+    function update(entry, callback) {
+        run('readwrite', store => store.put(entry), callback, null);
+    }
+
+    /**
+     * Delete a recorded session
+     */
+    function remove(id, callback) {
+        run('readwrite', store => store.delete(id), callback);
+    }
+
+    /**
+     * Delete every recorded session
+     */
+    function clear(callback) {
+        run('readwrite', store => store.clear(), callback);
+    }
+
+    /**
+     * Get the most recent sessions, newest first
+     * @param {number} limit - how many sessions at most
+     * @param {Function} [filter] - only sessions it returns true for
+     * @param {Function} callback - gets the sessions
+     */
+    function getRecent(limit, filter, callback) {
+        const sessions = [];
+        run('readonly', store => {
+            const request = store.index('date').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && sessions.length < limit) {
+                    if (!filter || filter(cursor.value)) {
+                        sessions.push(cursor.value);
+                    }
+                    cursor.continue();
+                }
+            };
+            return null;
+        }, () => callback(sessions), []);
+    }
+
+    /**
+     * Get the sessions that ended in a period, oldest first
+     * @param {Date} from - start of the period, inclusive
+     * @param {Date} [to] - end of the period, exclusive; open-ended if left out
+     * @param {Function} callback - gets the sessions
+     */
+    function getRange(from, to, callback) {
+        const lower = from.toISOString();
+        const range = to
+            ? IDBKeyRange.bound(lower, to.toISOString(), false, true)
+            : IDBKeyRange.lowerBound(lower);
+        run('readonly', store => store.index('date').getAll(range), callback, []);
+    }
+
+    /**
+     * Get the sessions that ended at an exact time, e.g. to find the entry
+     * of a phase the timer reports on
+     * @param {string} timestamp - ISO end time
+     */
+    function findByTimestamp(timestamp, callback) {
+        run('readonly', store => store.index('date').getAll(IDBKeyRange.only(timestamp)), callback, []);
+    }
+
+    // Public API
+    return {
+        CHANGE_KEY,
+        init,
+        add,
+        update,
+        remove,
+        clear,
+        getRecent,
+        getRange,
+        findByTimestamp,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
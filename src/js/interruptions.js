@@ -0,0 +1,79 @@
+/**
+ * Interruptions Module
+ * Logs internal and external interruptions of a focus session, from the
+ * pause prompt or the I / E keyboard shortcuts
+ */
+
+const Interruptions = (function() {
+    // DOM Elements
+    const elements = {
+        panel: document.getElementById('interruption-panel'),
+        note: document.getElementById('interruption-note'),
+        internalBtn: document.getElementById('log-internal-btn'),
+        externalBtn: document.getElementById('log-external-btn'),
+        dismissBtn: document.getElementById('dismiss-interruption-btn')
+    };
+
+    /**
+     * Initialize interruption logging
+     */
+    function init() {
+        bindEvents();
+    }
+
+    /**
+     * Bind UI events
+     */
+    function bindEvents() {
+        elements.internalBtn.addEventListener('click', () => log('internal'));
+        elements.externalBtn.addEventListener('click', () => log('external'));
+        elements.dismissBtn.addEventListener('click', hidePrompt);
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (Keys.isEditableTarget(e.target)) return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            if (e.code === 'KeyI') {
+                e.preventDefault();
+                log('internal');
+            } else if (e.code === 'KeyE') {
+                e.preventDefault();
+                log('external');
+            }
+        });
+    }
+
+    /**
+     * Log an interruption with the note from the prompt, if any
+     */
+    function log(kind) {
+        const note = elements.panel.classList.contains('hidden') ? '' : elements.note.value.trim();
+        if (Timer.logInterruption(kind, note)) {
+            hidePrompt();
+        }
+    }
+
+    /**
+     * Ask what interrupted the session
+     */
+    function showPrompt() {
+        elements.note.value = '';
+        elements.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the prompt
+     */
+    function hidePrompt() {
+        elements.panel.classList.add('hidden');
+        elements.note.value = '';
+    }
+
+    // Public API
+    return {
+        init,
+        showPrompt,
+        hidePrompt
+    };
+})();
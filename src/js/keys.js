@@ -0,0 +1,22 @@
+/**
+ * Keys Module
+ * Helpers shared by the global keyboard shortcuts
+ */
+
+const Keys = (function() {
+    const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+    /**
+     * Check whether a key event's target takes typing of its own, so
+     * shortcuts leave the keystroke alone
+     * @param {EventTarget} target - the event's target
+     */
+    function isEditableTarget(target) {
+        return !!target && (EDITABLE_TAGS.includes(target.tagName) || !!target.isContentEditable);
+    }
+
+    // Public API
+    return {
+        isEditableTarget
+    };
+})();
@@ -0,0 +1,357 @@
+/**
+ * Plan Module
+ * Today's plan: an ordered queue of tasks with the pomodoros planned for
+ * each, checked against what the daily goal leaves room for
+ */
+
+const Plan = (function() {
+    const STORAGE_KEY = 'pomodoro_plan';
+    const MAX_PLANNED = 10;
+
+    // { date, items: [{ taskId, planned, done }] }; done counts the
+    // pomodoros finished on the task today
+    let plan = { date: null, items: [] };
+    // What's been done towards the daily goal so far today
+    let doneToday = { pomodoros: 0, minutes: 0 };
+
+    // Events: change
+    const emitter = Events.createEmitter();
+
+    // DOM Elements
+    const elements = {
+        capacity: document.getElementById('plan-capacity'),
+        list: document.getElementById('plan-list'),
+        warning: document.getElementById('plan-warning')
+    };
+
+    /**
+     * Initialize the plan
+     */
+    function init() {
+        load();
+
+        Tasks.on('toggle', ({ task }) => {
+            if (task.completed) {
+                advance(task.id);
+            }
+            render();
+        });
+        Tasks.on('pomodoro', ({ task }) => {
+            const item = findItem(task.id);
+            if (item) {
+                item.done++;
+                save();
+                notifyChange();
+            }
+        });
+        Tasks.on('delete', ({ task }) => remove(task.id));
+        Tasks.on('load', render);
+        Tasks.on('change', render);
+        Tasks.on('activeTaskChange', render);
+        Settings.on('change', render);
+
+        notifyChange();
+    }
+
+    /**
+     * Load today's plan from localStorage; a plan from an earlier day is
+     * dropped
+     */
+    function load() {
+        const today = Recurrence.toDateKey(new Date());
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            plan = saved && saved.date === today ? saved : { date: today, items: [] };
+        } catch (e) {
+            console.error('Failed to load plan:', e);
+            plan = { date: today, items: [] };
+        }
+    }
+
+    /**
+     * Reload the plan, e.g. after another tab changed it or a new day began
+     */
+    function reload() {
+        load();
+        notifyChange();
+    }
+
+    /**
+     * Save the plan to localStorage
+     */
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+        } catch (e) {
+            console.error('Failed to save plan:', e);
+        }
+    }
+
+    /**
+     * Re-render and tell subscribers the plan changed
+     */
+    function notifyChange() {
+        render();
+        emitter.emit('change', getItems());
+    }
+
+    /**
+     * Find the plan entry of a task
+     */
+    function findItem(taskId) {
+        return plan.items.find(item => item.taskId === taskId) || null;
+    }
+
+    /**
+     * Check whether a task is planned for today
+     */
+    function has(taskId) {
+        return !!findItem(taskId);
+    }
+
+    /**
+     * Queue a task for today, planning what's left of its estimate
+     */
+    function add(taskId) {
+        const task = Tasks.getTasks().find(t => t.id === taskId);
+        if (!task || has(taskId)) return;
+
+        const remaining = (task.estimatedPomodoros || 1) - (task.actualPomodoros || 0);
+        plan.items.push({ taskId, planned: Math.max(1, Math.min(MAX_PLANNED, remaining)), done: 0 });
+        save();
+        notifyChange();
+    }
+
+    /**
+     * Take a task off today's plan
+     */
+    function remove(taskId) {
+        if (!has(taskId)) return;
+
+        plan.items = plan.items.filter(item => item.taskId !== taskId);
+        save();
+        notifyChange();
+    }
+
+    /**
+     * Add a task to today's plan, or take it off if it's already there
+     */
+    function toggle(taskId) {
+        if (has(taskId)) {
+            remove(taskId);
+        } else {
+            add(taskId);
+        }
+    }
+
+    /**
+     * Change how many pomodoros are planned for a task
+     */
+    function setPlanned(taskId, planned) {
+        const item = findItem(taskId);
+        if (!item) return;
+
+        item.planned = Math.max(1, Math.min(MAX_PLANNED, parseInt(planned) || 1));
+        save();
+        notifyChange();
+    }
+
+    /**
+     * Move a task up (-1) or down (1) the queue
+     */
+    function move(taskId, offset) {
+        const index = plan.items.findIndex(item => item.taskId === taskId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= plan.items.length) return;
+
+        const [item] = plan.items.splice(index, 1);
+        plan.items.splice(target, 0, item);
+        save();
+        notifyChange();
+    }
+
+    /**
+     * Get today's plan entries that still have a task on the list, in queue
+     * order, with their task
+     */
+    function getItems() {
+        const tasks = Tasks.getTasks();
+        return plan.items
+            .map(item => ({ ...item, task: tasks.find(t => t.id === item.taskId) }))
+            .filter(item => item.task);
+    }
+
+    /**
+     * Make the next queued task active once the one being worked on is
+     * finished
+     * @param {string} finishedId - task just completed
+     */
+    function advance(finishedId) {
+        if (!has(finishedId) || Tasks.getActiveTaskId()) return;
+
+        const next = getItems().find(item => !item.task.completed && item.taskId !== finishedId);
+        if (next) {
+            Tasks.setActiveTask(next.taskId);
+            Toast.show(`Up next: ${next.task.text}`);
+        }
+    }
+
+    /**
+     * Update what's been done today
+     * @param {Object} stats - today's stats, with todayPomodoros and
+     *     todayFocusTime
+     */
+    function setDoneToday(stats) {
+        doneToday = { pomodoros: stats.todayPomodoros, minutes: stats.todayFocusTime };
+        render();
+    }
+
+    /**
+     * Work out the pomodoros still planned against those the daily goal
+     * leaves room for today
+     * @returns {Object} { planned, available, minutes } where minutes is
+     *     roughly how long the planned pomodoros take with breaks
+     */
+    function getCapacity() {
+        const settings = Settings.get();
+        const sequence = Sequences.resolve(settings);
+        const planned = getItems()
+            .filter(item => !item.task.completed)
+            .reduce((sum, item) => sum + Math.max(0, item.planned - item.done), 0);
+        const available = settings.dailyGoalUnit === 'minutes'
+            ? countPomodorosFor(sequence, Math.max(0, settings.dailyGoalMinutes - doneToday.minutes))
+            : Math.max(0, settings.dailyGoal - doneToday.pomodoros);
+
+        return { planned, available, minutes: estimateMinutes(sequence, planned) };
+    }
+
+    /**
+     * Run through the phases of a sequence from its start, repeating from
+     * loopFrom as the timer does, until the visitor returns false
+     * @param {Object} sequence - active sequence
+     * @param {Function} visit - called with each phase
+     */
+    function walkSequence(sequence, visit) {
+        // A sequence without focus time would never get anywhere
+        if (!sequence.phases.some(phase => !phase.isBreak)) return;
+
+        let index = 0;
+        while (visit(sequence.phases[index]) !== false) {
+            index = index + 1 < sequence.phases.length ? index + 1 : (sequence.loopFrom || 0);
+        }
+    }
+
+    /**
+     * Estimate how long some pomodoros take in the sequence, with the
+     * breaks between them but not the one after the last
+     */
+    function estimateMinutes(sequence, pomodoros) {
+        let minutes = 0;
+        let left = pomodoros;
+        if (left === 0) return 0;
+
+        walkSequence(sequence, phase => {
+            minutes += phase.duration;
+            if (!phase.isBreak) left--;
+            return left > 0;
+        });
+        return minutes;
+    }
+
+    /**
+     * Count the pomodoros of the sequence it takes to make up some minutes
+     * of focus
+     */
+    function countPomodorosFor(sequence, focusMinutes) {
+        let count = 0;
+        let minutes = 0;
+        if (focusMinutes === 0) return 0;
+
+        walkSequence(sequence, phase => {
+            if (!phase.isBreak) {
+                count++;
+                minutes += phase.duration;
+            }
+            return minutes < focusMinutes;
+        });
+        return count;
+    }
+
+    /**
+     * Format minutes as hours and minutes, e.g. "2h 10m"
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+    }
+
+    /**
+     * Render today's plan and its capacity
+     */
+    function render() {
+        const items = getItems();
+        const { planned, available, minutes } = getCapacity();
+        const overBy = planned - available;
+
+        elements.capacity.textContent = items.length
+            ? `${planned} of ${available} 🍅 · ${formatDuration(minutes)}`
+            : '';
+        elements.capacity.classList.toggle('over', overBy > 0);
+        elements.warning.classList.toggle('hidden', overBy <= 0);
+        if (overBy > 0) {
+            elements.warning.textContent = `Over-committed by ${overBy} 🍅: the daily goal leaves room for ${available} more today.`;
+        }
+
+        elements.list.innerHTML = '';
+        if (items.length === 0) {
+            elements.list.innerHTML = '<li class="plan-empty">Nothing planned. Add tasks with ☀ to plan your day.</li>';
+            return;
+        }
+
+        const activeTaskId = Tasks.getActiveTaskId();
+        items.forEach((item, index) => {
+            const li = document.createElement('li');
+            li.className = `plan-item${item.task.completed ? ' completed' : ''}${item.taskId === activeTaskId ? ' active' : ''}`;
+            li.innerHTML = `
+                <span class="plan-text"></span>
+                <span class="plan-progress" title="Done / planned today">${item.done}/</span>
+                <input type="number" class="plan-planned" min="1" max="${MAX_PLANNED}" aria-label="Planned pomodoros">
+                <button class="icon-btn plan-move" data-offset="-1" aria-label="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button class="icon-btn plan-move" data-offset="1" aria-label="Move down"${index === items.length - 1 ? ' disabled' : ''}>↓</button>
+                <button class="icon-btn plan-remove" aria-label="Remove from today">&times;</button>
+            `;
+            li.querySelector('.plan-text').textContent = item.task.text;
+            const plannedInput = li.querySelector('.plan-planned');
+            plannedInput.value = item.planned;
+            plannedInput.addEventListener('change', () => setPlanned(item.taskId, plannedInput.value));
+            li.querySelectorAll('.plan-move').forEach(button => {
+                button.addEventListener('click', () => move(item.taskId, parseInt(button.dataset.offset)));
+            });
+            li.querySelector('.plan-remove').addEventListener('click', () => remove(item.taskId));
+            if (!item.task.completed) {
+                li.querySelector('.plan-text').addEventListener('click', () => Tasks.setActiveTask(item.taskId));
+            }
+            elements.list.appendChild(li);
+        });
+    }
+
+    // Public API
+    return {
+        STORAGE_KEY,
+        init,
+        reload,
+        has,
+        add,
+        remove,
+        toggle,
+        setPlanned,
+        move,
+        getItems,
+        getCapacity,
+        setDoneToday,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
@@ -0,0 +1,120 @@
+/**
+ * Quick Add Module
+ * Parses inline syntax typed into the task input, e.g.
+ * "Write report #work ~3 !high @tomorrow +Website"
+ */
+
+const QuickAdd = (function() {
+    const MAX_ESTIMATE = 10;
+
+    const PRIORITIES = {
+        high: 'high', h: 'high', '1': 'high',
+        medium: 'medium', med: 'medium', m: 'medium', '2': 'medium',
+        low: 'low', l: 'low', '3': 'low'
+    };
+
+    const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    /**
+     * Resolve a due date word to a YYYY-MM-DD key
+     * @param {string} word - today, tomorrow, a weekday (full or 3 letters)
+     *     or a YYYY-MM-DD date
+     * @returns {string|null} date key, or null if the word isn't a date
+     */
+    function parseDate(word, now = new Date()) {
+        const value = word.toLowerCase();
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        if (value === 'today') {
+            return Recurrence.toDateKey(date);
+        }
+        if (value === 'tomorrow' || value === 'tmr') {
+            date.setDate(date.getDate() + 1);
+            return Recurrence.toDateKey(date);
+        }
+
+        // A weekday means its next occurrence, today included
+        const weekday = WEEKDAYS.findIndex(day => value.length >= 3 && day.startsWith(value));
+        if (weekday !== -1) {
+            date.setDate(date.getDate() + (weekday - date.getDay() + 7) % 7);
+            return Recurrence.toDateKey(date);
+        }
+
+        // Round-tripping rejects dates like 2026-02-30 that Date rolls over
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value) && Recurrence.toDateKey(new Date(`${value}T00:00`)) === value) {
+            return value;
+        }
+        return null;
+    }
+
+    /**
+     * Parse task input into its text and attributes. Tokens that don't
+     * parse are kept in the text as typed.
+     * @param {string} input - raw task input
+     * @returns {Object} { text, tags, estimatedPomodoros, priority, dueDate,
+     *     project }; attributes not given are null (tags: empty)
+     */
+    function parse(input) {
+        const result = {
+            text: '',
+            tags: [],
+            estimatedPomodoros: null,
+            priority: null,
+            dueDate: null,
+            project: null
+        };
+        const words = [];
+
+        input.trim().split(/\s+/).forEach(token => {
+            const sigil = token.charAt(0);
+            const value = token.slice(1);
+
+            if (sigil === '#' && value) {
+                result.tags.push(...TaskDetail.parseTags(value));
+            } else if (sigil === '~' && /^\d+$/.test(value)) {
+                result.estimatedPomodoros = Math.max(1, Math.min(MAX_ESTIMATE, parseInt(value)));
+            } else if (sigil === '!' && PRIORITIES[value.toLowerCase()]) {
+                result.priority = PRIORITIES[value.toLowerCase()];
+            } else if (sigil === '@' && parseDate(value)) {
+                result.dueDate = parseDate(value);
+            } else if (sigil === '+' && value && !/^\d/.test(value)) {
+                result.project = value;
+            } else if (token) {
+                words.push(token);
+            }
+        });
+
+        result.text = words.join(' ');
+        result.tags = [...new Set(result.tags)];
+        return result;
+    }
+
+    /**
+     * Build preview chips for the attributes found in parsed input
+     * @returns {Object[]} chips as { kind, label }
+     */
+    function describe(parsed) {
+        const chips = [];
+        if (parsed.project) {
+            chips.push({ kind: 'project', label: parsed.project });
+        }
+        parsed.tags.forEach(tag => chips.push({ kind: 'tag', label: `#${tag}` }));
+        if (parsed.estimatedPomodoros) {
+            chips.push({ kind: 'estimate', label: `${parsed.estimatedPomodoros} 🍅` });
+        }
+        if (parsed.priority) {
+            chips.push({ kind: 'priority', label: `!${parsed.priority}` });
+        }
+        if (parsed.dueDate) {
+            chips.push({ kind: 'due', label: `Due ${TaskDetail.formatDueDate(parsed.dueDate)}` });
+        }
+        return chips;
+    }
+
+    // Public API
+    return {
+        parse,
+        parseDate,
+        describe
+    };
+})();
@@ -0,0 +1,86 @@
+/**
+ * Recurrence Module
+ * Repeat rules for recurring tasks: daily, weekdays, weekly on chosen days
+ * or every N days. Dates are local YYYY-MM-DD keys.
+ */
+
+const Recurrence = (function() {
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Get the local YYYY-MM-DD key of a date
+     */
+    function toDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the local midnight of a date key
+     */
+    function fromDateKey(dateKey) {
+        return new Date(`${dateKey}T00:00`);
+    }
+
+    /**
+     * Whole days from one date key to another
+     */
+    function daysBetween(fromKey, toKey) {
+        // Rounding absorbs the hour gained or lost over a DST change
+        return Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / DAY_MS);
+    }
+
+    /**
+     * Check whether a task with this rule is due on a date
+     * @param {Object} rule - { type: 'daily'|'weekdays'|'weekly'|'interval',
+     *     days: weekdays for weekly (0 = Sunday), interval: N for every N days,
+     *     startDate: date key the interval counts from }
+     * @param {string} dateKey - date to check
+     */
+    function matches(rule, dateKey) {
+        const weekday = fromDateKey(dateKey).getDay();
+
+        switch (rule.type) {
+            case 'daily':
+                return true;
+            case 'weekdays':
+                return weekday >= 1 && weekday <= 5;
+            case 'weekly':
+                return (rule.days || []).includes(weekday);
+            case 'interval': {
+                const elapsed = daysBetween(rule.startDate || dateKey, dateKey);
+                return elapsed >= 0 && elapsed % Math.max(1, rule.interval || 1) === 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Describe a rule for display, e.g. "Weekly: Mon, Thu"
+     */
+    function describe(rule) {
+        switch (rule.type) {
+            case 'daily':
+                return 'Daily';
+            case 'weekdays':
+                return 'Weekdays';
+            case 'weekly':
+                return `Weekly: ${(rule.days || []).map(day => DAY_NAMES[day]).join(', ')}`;
+            case 'interval':
+                return rule.interval > 1 ? `Every ${rule.interval} days` : 'Daily';
+            default:
+                return '';
+        }
+    }
+
+    // Public API
+    return {
+        DAY_NAMES,
+        toDateKey,
+        matches,
+        describe
+    };
+})();
@@ -0,0 +1,269 @@
+/**
+ * Sequences Module
+ * Defines session sequences (ordered phases the timer steps through)
+ * and the editor for user-defined sequences
+ */
+
+const Sequences = (function() {
+    const CLASSIC_ID = 'classic';
+
+    const FOCUS_COLOR = '#e74c3c';
+    const BREAK_COLOR = '#27ae60';
+
+    const MAX_PHASE_MINUTES = 180;
+
+    /**
+     * Built-in sequences besides the classic cycle. A sequence runs through
+     * its phases in order, then repeats from the phase at loopFrom.
+     */
+    const presets = [
+        {
+            id: 'focus-52-17',
+            name: '52 / 17',
+            phases: [
+                { label: 'Focus', duration: 52, color: FOCUS_COLOR, isBreak: false },
+                { label: 'Break', duration: 17, color: BREAK_COLOR, isBreak: true }
+            ],
+            loopFrom: 0
+        },
+        {
+            id: 'ultradian',
+            name: 'Ultradian 90 / 20',
+            phases: [
+                { label: 'Deep Work', duration: 90, color: '#8e44ad', isBreak: false },
+                { label: 'Rest', duration: 20, color: BREAK_COLOR, isBreak: true }
+            ],
+            loopFrom: 0
+        },
+        {
+            id: 'warm-up',
+            name: 'Warm-up + Pomodoros',
+            phases: [
+                { label: 'Warm-up', duration: 15, color: '#f39c12', isBreak: false },
+                { label: 'Short Break', duration: 5, color: BREAK_COLOR, isBreak: true },
+                { label: 'Focus Time', duration: 25, color: FOCUS_COLOR, isBreak: false },
+                { label: 'Short Break', duration: 5, color: BREAK_COLOR, isBreak: true },
+                { label: 'Focus Time', duration: 25, color: FOCUS_COLOR, isBreak: false },
+                { label: 'Short Break', duration: 5, color: BREAK_COLOR, isBreak: true },
+                { label: 'Focus Time', duration: 25, color: FOCUS_COLOR, isBreak: false },
+                { label: 'Short Break', duration: 5, color: BREAK_COLOR, isBreak: true },
+                { label: 'Focus Time', duration: 25, color: FOCUS_COLOR, isBreak: false },
+                { label: 'Long Break', duration: 15, color: BREAK_COLOR, isBreak: true }
+            ],
+            loopFrom: 2
+        }
+    ];
+
+    let editingId = null;
+
+    // Events: save, delete
+    const emitter = Events.createEmitter();
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('sequence-modal'),
+        title: document.getElementById('sequence-title'),
+        closeBtn: document.getElementById('close-sequence'),
+        name: document.getElementById('sequence-name'),
+        phaseList: document.getElementById('sequence-phases'),
+        addPhaseBtn: document.getElementById('add-phase'),
+        loopFrom: document.getElementById('sequence-loop-from'),
+        deleteBtn: document.getElementById('delete-sequence'),
+        saveBtn: document.getElementById('save-sequence')
+    };
+
+    /**
+     * Initialize the sequence editor
+     */
+    function init() {
+        elements.closeBtn.addEventListener('click', closeEditor);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                closeEditor();
+            }
+        });
+        elements.addPhaseBtn.addEventListener('click', () => {
+            // Alternate with the last phase so adding rows builds a cycle
+            const phases = getPhasesFromForm();
+            const last = phases[phases.length - 1];
+            appendPhaseRow(last && !last.isBreak
+                ? { label: 'Break', duration: 5, color: BREAK_COLOR, isBreak: true }
+                : { label: 'Focus', duration: 25, color: FOCUS_COLOR, isBreak: false });
+            renderLoopOptions(elements.loopFrom.value);
+        });
+        elements.saveBtn.addEventListener('click', saveFromForm);
+        elements.deleteBtn.addEventListener('click', deleteEditing);
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && !elements.modal.classList.contains('hidden')) {
+                e.stopImmediatePropagation();
+                closeEditor();
+            }
+        });
+    }
+
+    /**
+     * Build the classic work/short/long cycle from the duration settings
+     */
+    function buildClassic(settings) {
+        const phases = [];
+        for (let i = 0; i < settings.pomodorosUntilLongBreak; i++) {
+            phases.push({ label: 'Focus Time', duration: settings.workDuration, color: FOCUS_COLOR, isBreak: false });
+            if (i < settings.pomodorosUntilLongBreak - 1) {
+                phases.push({ label: 'Short Break', duration: settings.shortBreakDuration, color: BREAK_COLOR, isBreak: true });
+            } else {
+                phases.push({ label: 'Long Break', duration: settings.longBreakDuration, color: BREAK_COLOR, isBreak: true });
+            }
+        }
+        return { id: CLASSIC_ID, name: 'Classic Pomodoro', phases, loopFrom: 0 };
+    }
+
+    /**
+     * Get every available sequence for the given settings
+     */
+    function getAll(settings) {
+        return [buildClassic(settings), ...presets, ...(settings.customSequences || [])];
+    }
+
+    /**
+     * Resolve the active sequence, falling back to the classic cycle
+     */
+    function resolve(settings) {
+        return getAll(settings).find(seq => seq.id === settings.sequenceId) || buildClassic(settings);
+    }
+
+    /**
+     * Check whether a sequence was defined by the user
+     */
+    function isCustom(settings, id) {
+        return (settings.customSequences || []).some(seq => seq.id === id);
+    }
+
+    /**
+     * Open the editor for an existing sequence, or a new one when the
+     * sequence is built in (it is saved as an editable copy)
+     */
+    function openEditor(sequence, custom) {
+        editingId = custom ? sequence.id : null;
+        elements.title.textContent = custom ? 'Edit Sequence' : 'New Sequence';
+        elements.name.value = custom ? sequence.name : `${sequence.name} (copy)`;
+        elements.deleteBtn.classList.toggle('hidden', !custom);
+
+        elements.phaseList.innerHTML = '';
+        sequence.phases.forEach(appendPhaseRow);
+        renderLoopOptions(sequence.loopFrom || 0);
+
+        elements.modal.classList.remove('hidden');
+        elements.name.focus();
+    }
+
+    /**
+     * Close the editor
+     */
+    function closeEditor() {
+        elements.modal.classList.add('hidden');
+        editingId = null;
+    }
+
+    /**
+     * Add an editable row for a phase
+     */
+    function appendPhaseRow(phase) {
+        const li = document.createElement('li');
+        li.className = 'sequence-phase';
+        li.innerHTML = `
+            <input type="text" class="phase-label" aria-label="Phase label" maxlength="30">
+            <input type="number" class="phase-duration" min="1" max="${MAX_PHASE_MINUTES}" aria-label="Duration in minutes" title="Minutes">
+            <input type="color" class="phase-color" aria-label="Ring color">
+            <label class="checkbox-label phase-break">
+                <input type="checkbox" class="phase-is-break">
+                Break
+            </label>
+            <button type="button" class="icon-btn remove-phase-btn" aria-label="Remove phase">&times;</button>
+        `;
+        li.querySelector('.phase-label').value = phase.label;
+        li.querySelector('.phase-duration').value = phase.duration;
+        li.querySelector('.phase-color').value = phase.color;
+        li.querySelector('.phase-is-break').checked = phase.isBreak;
+        li.querySelector('.remove-phase-btn').addEventListener('click', () => {
+            if (elements.phaseList.children.length <= 1) return;
+            li.remove();
+            renderLoopOptions(elements.loopFrom.value);
+        });
+        elements.phaseList.appendChild(li);
+    }
+
+    /**
+     * Render the "repeat from" options, one per phase
+     */
+    function renderLoopOptions(selected) {
+        const count = elements.phaseList.children.length;
+        const selectedIndex = Math.min(parseInt(selected) || 0, count - 1);
+        elements.loopFrom.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `Phase ${i + 1}`;
+            option.selected = i === selectedIndex;
+            elements.loopFrom.appendChild(option);
+        }
+    }
+
+    /**
+     * Read phases from the editor rows
+     */
+    function getPhasesFromForm() {
+        return Array.from(elements.phaseList.children).map(li => {
+            const isBreak = li.querySelector('.phase-is-break').checked;
+            const duration = parseInt(li.querySelector('.phase-duration').value) || 1;
+            return {
+                label: li.querySelector('.phase-label').value.trim() || (isBreak ? 'Break' : 'Focus'),
+                duration: Math.max(1, Math.min(MAX_PHASE_MINUTES, duration)),
+                color: li.querySelector('.phase-color').value,
+                isBreak
+            };
+        });
+    }
+
+    /**
+     * Save the sequence in the editor
+     */
+    function saveFromForm() {
+        const phases = getPhasesFromForm();
+        if (phases.length === 0) return;
+
+        const sequence = {
+            id: editingId || `custom-${Date.now()}`,
+            name: elements.name.value.trim() || 'Custom Sequence',
+            phases,
+            loopFrom: Math.min(parseInt(elements.loopFrom.value) || 0, phases.length - 1)
+        };
+
+        closeEditor();
+        emitter.emit('save', sequence);
+    }
+
+    /**
+     * Delete the custom sequence in the editor
+     */
+    function deleteEditing() {
+        if (!editingId) return;
+        if (!confirm('Delete this sequence?')) return;
+
+        const id = editingId;
+        closeEditor();
+        emitter.emit('delete', id);
+    }
+
+    // Public API
+    return {
+        CLASSIC_ID,
+        init,
+        getAll,
+        resolve,
+        isCustom,
+        openEditor,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
@@ -0,0 +1,213 @@
+/**
+ * Session Editor Module
+ * Panel for correcting the session history: adding a session worked away
+ * from the app, changing a session's time, length or task, and deleting
+ * one that shouldn't count
+ */
+
+const SessionEditor = (function() {
+    const MAX_DURATION = 180; // minutes
+
+    // Session being edited, or null when adding one
+    let editing = null;
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('session-modal'),
+        title: document.getElementById('session-modal-title'),
+        addBtn: document.getElementById('add-session-btn'),
+        closeBtn: document.getElementById('close-session-modal'),
+        deleteBtn: document.getElementById('delete-session'),
+        saveBtn: document.getElementById('save-session'),
+        date: document.getElementById('session-date'),
+        time: document.getElementById('session-time'),
+        duration: document.getElementById('session-duration'),
+        task: document.getElementById('session-task'),
+        taskOptions: document.getElementById('session-task-options'),
+        project: document.getElementById('session-project'),
+        projectOptions: document.getElementById('session-project-options')
+    };
+
+    /**
+     * Initialize the session editor
+     */
+    function init() {
+        elements.addBtn.addEventListener('click', () => open());
+        elements.closeBtn.addEventListener('click', close);
+        elements.saveBtn.addEventListener('click', saveFromForm);
+        elements.deleteBtn.addEventListener('click', () => {
+            const entry = editing;
+            close();
+            remove(entry);
+        });
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && !elements.modal.classList.contains('hidden')) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+
+        // Picking a task from the list brings its project along
+        elements.task.addEventListener('change', () => {
+            const task = findTask(elements.task.value.trim());
+            if (task && task.project) {
+                elements.project.value = task.project;
+            }
+        });
+    }
+
+    /**
+     * Find the task on the list with the given text
+     */
+    function findTask(text) {
+        return Tasks.getTasks().find(t => t.text === text) || null;
+    }
+
+    /**
+     * Fill a datalist with suggestions
+     */
+    function fillOptions(datalist, values) {
+        datalist.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Count a recorded session towards the task it names, or take it back
+     * @param {Object} entry - history entry
+     * @param {number} delta - 1 to count the session, -1 to take it back
+     */
+    function countTowardsTask(entry, delta) {
+        const task = entry.task ? findTask(entry.task) : null;
+        if (task && entry.type === 'work' && entry.outcome === 'completed') {
+            Tasks.adjustTaskPomodoros(task.id, delta);
+        }
+    }
+
+    /**
+     * Length of the first focus phase in the active sequence, in minutes
+     */
+    function getFocusDuration() {
+        const settings = Settings.get();
+        const focus = Sequences.resolve(settings).phases.find(phase => !phase.isBreak);
+        return focus ? focus.duration : settings.workDuration;
+    }
+
+    /**
+     * Format a time as HH:MM for a time input
+     */
+    function toTimeValue(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Open the panel for a recorded session, or to add one that ended now
+     * @param {Object} [entry] - history entry to edit
+     */
+    function open(entry = null) {
+        editing = entry;
+        const endedAt = entry ? new Date(entry.timestamp) : new Date();
+
+        elements.title.textContent = entry ? 'Edit Session' : 'Add Session';
+        elements.deleteBtn.classList.toggle('hidden', !entry);
+        elements.date.value = Recurrence.toDateKey(endedAt);
+        elements.date.max = Recurrence.toDateKey(new Date());
+        elements.time.value = toTimeValue(endedAt);
+        elements.duration.value = entry ? entry.duration : getFocusDuration();
+        elements.task.value = entry ? entry.task || '' : '';
+        elements.project.value = entry ? entry.project || '' : '';
+
+        fillOptions(elements.taskOptions, Tasks.getTasks().map(t => t.text));
+        fillOptions(elements.projectOptions, Tasks.getProjects());
+
+        elements.modal.classList.remove('hidden');
+        elements.date.focus();
+    }
+
+    /**
+     * Close the panel without saving
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+        editing = null;
+    }
+
+    /**
+     * Save the session in the panel. A session can't end in the future.
+     */
+    function saveFromForm() {
+        const endedAt = new Date(`${elements.date.value}T${elements.time.value}`);
+        if (isNaN(endedAt) || endedAt > new Date()) return;
+
+        const duration = Math.max(1, Math.min(MAX_DURATION, parseInt(elements.duration.value) || 1));
+        const taskText = elements.task.value.trim() || null;
+        const task = taskText ? findTask(taskText) : null;
+        const changes = {
+            timestamp: endedAt.toISOString(),
+            duration,
+            task: taskText,
+            project: elements.project.value.trim() || null
+        };
+
+        if (editing) {
+            // Tags follow the task when the session moves to another one
+            const tags = taskText === editing.task ? editing.tags : (task ? task.tags || [] : []);
+            // A session seen through ran as long as was planned
+            const plannedDuration = editing.outcome === 'completed' ? duration : editing.plannedDuration;
+            const updated = { ...editing, ...changes, tags, plannedDuration };
+            HistoryStore.update(updated);
+            if (updated.task !== editing.task) {
+                countTowardsTask(editing, -1);
+                countTowardsTask(updated, 1);
+            }
+        } else {
+            const entry = {
+                ...changes,
+                type: 'work',
+                outcome: 'completed',
+                plannedDuration: duration,
+                tags: task ? task.tags || [] : [],
+                label: null,
+                interruptions: [],
+                manual: true
+            };
+            HistoryStore.add(entry);
+            countTowardsTask(entry, 1);
+            Toast.show('Session added');
+        }
+        close();
+    }
+
+    /**
+     * Delete a recorded session, offering to undo it
+     * @param {Object} entry - history entry
+     */
+    function remove(entry) {
+        HistoryStore.remove(entry.id, () => {
+            countTowardsTask(entry, -1);
+            Toast.show('Session deleted', {
+                actionLabel: 'Undo',
+                onAction: () => {
+                    HistoryStore.update(entry);
+                    countTowardsTask(entry, 1);
+                }
+            });
+        });
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        remove
+    };
+})();
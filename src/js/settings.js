@@ -11,15 +11,31 @@ const Settings = (function() {
         shortBreakDuration: 5,
         longBreakDuration: 15,
         pomodorosUntilLongBreak: 4,
+        dailyGoal: 8, // pomodoros
+        dailyGoalMinutes: 200,
+        dailyGoalUnit: 'pomodoros',
+        // Weekdays (0 = Sunday) that don't break the streak when the goal
+        // isn't met
+        restDays: [],
+        // Missed days per month that keep the streak going
+        streakFreezes: 2,
+        sequenceId: 'classic',
+        customSequences: [],
         soundEnabled: true,
         soundStyle: 'classic',
         browserNotifications: false,
         darkMode: false,
-        autoStart: false
+        autoStart: false,
+        overtime: false,
+        interruptionPrompt: true,
+        cycleResetIdleMinutes: 0,
+        cycleResetDaily: false
     };
 
     let settings = { ...defaults };
-    let onSettingsChange = null;
+
+    // Events: change
+    const emitter = Events.createEmitter();
 
     // DOM Elements
     const elements = {
@@ -30,12 +46,24 @@ const Settings = (function() {
         shortBreak: document.getElementById('short-break'),
         longBreak: document.getElementById('long-break'),
         pomodorosUntilLong: document.getElementById('pomodoros-until-long'),
+        dailyGoal: document.getElementById('daily-goal'),
+        dailyGoalMinutes: document.getElementById('daily-goal-minutes'),
+        dailyGoalUnit: document.getElementById('daily-goal-unit'),
+        restDays: document.getElementById('rest-days'),
+        streakFreezes: document.getElementById('streak-freezes'),
+        sequenceSelect: document.getElementById('sequence-select'),
+        editSequence: document.getElementById('edit-sequence'),
+        newSequence: document.getElementById('new-sequence'),
         soundEnabled: document.getElementById('sound-enabled'),
         soundStyle: document.getElementById('sound-style'),
         previewSound: document.getElementById('preview-sound'),
         browserNotifications: document.getElementById('browser-notifications'),
         darkMode: document.getElementById('dark-mode'),
         autoStart: document.getElementById('auto-start'),
+        overtime: document.getElementById('overtime-enabled'),
+        interruptionPrompt: document.getElementById('interruption-prompt'),
+        cycleResetIdle: document.getElementById('cycle-reset-idle'),
+        cycleResetDaily: document.getElementById('cycle-reset-daily'),
         resetSettings: document.getElementById('reset-settings'),
         saveSettings: document.getElementById('save-settings'),
         resetAllData: document.getElementById('reset-all-data')
@@ -65,6 +93,16 @@ const Settings = (function() {
         }
     }
 
+    /**
+     * Reload settings saved by another tab
+     */
+    function reload() {
+        load();
+        applyTheme();
+        populateForm();
+        notifyChange();
+    }
+
     /**
      * Save settings to localStorage
      */
@@ -91,10 +129,16 @@ const Settings = (function() {
         elements.saveSettings.addEventListener('click', saveFromForm);
         elements.resetAllData.addEventListener('click', resetAllData);
         elements.previewSound.addEventListener('click', previewSoundStyle);
+        elements.dailyGoalUnit.addEventListener('change', updateGoalFields);
+        elements.sequenceSelect.addEventListener('change', updateSequenceButtons);
+        elements.editSequence.addEventListener('click', editSelectedSequence);
+        elements.newSequence.addEventListener('click', createSequence);
+        Sequences.on('save', handleSequenceSave);
+        Sequences.on('delete', handleSequenceDelete);
 
         // Keyboard shortcut to open settings
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT') return;
+            if (Keys.isEditableTarget(e.target)) return;
             if (e.code === 'KeyS' && !e.ctrlKey && !e.metaKey) {
                 e.preventDefault();
                 openModal();
@@ -136,11 +180,24 @@ const Settings = (function() {
         elements.shortBreak.value = settings.shortBreakDuration;
         elements.longBreak.value = settings.longBreakDuration;
         elements.pomodorosUntilLong.value = settings.pomodorosUntilLongBreak;
+        elements.dailyGoal.value = settings.dailyGoal;
+        elements.dailyGoalMinutes.value = settings.dailyGoalMinutes;
+        elements.dailyGoalUnit.value = settings.dailyGoalUnit;
+        updateGoalFields();
+        elements.restDays.querySelectorAll('input').forEach(input => {
+            input.checked = settings.restDays.includes(parseInt(input.value));
+        });
+        elements.streakFreezes.value = settings.streakFreezes;
+        renderSequenceOptions(settings.sequenceId);
         elements.soundEnabled.checked = settings.soundEnabled;
         elements.soundStyle.value = settings.soundStyle || 'classic';
         elements.browserNotifications.checked = settings.browserNotifications;
         elements.darkMode.checked = settings.darkMode;
         elements.autoStart.checked = settings.autoStart;
+        elements.overtime.checked = settings.overtime;
+        elements.interruptionPrompt.checked = settings.interruptionPrompt;
+        elements.cycleResetIdle.value = settings.cycleResetIdleMinutes;
+        elements.cycleResetDaily.checked = settings.cycleResetDaily;
     }
 
     /**
@@ -151,35 +208,147 @@ const Settings = (function() {
         settings.shortBreakDuration = parseInt(elements.shortBreak.value) || defaults.shortBreakDuration;
         settings.longBreakDuration = parseInt(elements.longBreak.value) || defaults.longBreakDuration;
         settings.pomodorosUntilLongBreak = parseInt(elements.pomodorosUntilLong.value) || defaults.pomodorosUntilLongBreak;
+        settings.dailyGoal = parseInt(elements.dailyGoal.value) || defaults.dailyGoal;
+        settings.dailyGoalMinutes = parseInt(elements.dailyGoalMinutes.value) || defaults.dailyGoalMinutes;
+        settings.dailyGoalUnit = elements.dailyGoalUnit.value;
+        settings.restDays = [...elements.restDays.querySelectorAll('input:checked')].map(input => parseInt(input.value));
+        settings.streakFreezes = parseInt(elements.streakFreezes.value) || 0;
+        settings.sequenceId = elements.sequenceSelect.value || defaults.sequenceId;
         settings.soundEnabled = elements.soundEnabled.checked;
         settings.soundStyle = elements.soundStyle.value;
         settings.browserNotifications = elements.browserNotifications.checked;
         settings.darkMode = elements.darkMode.checked;
         settings.autoStart = elements.autoStart.checked;
+        settings.overtime = elements.overtime.checked;
+        settings.interruptionPrompt = elements.interruptionPrompt.checked;
+        settings.cycleResetIdleMinutes = parseInt(elements.cycleResetIdle.value) || 0;
+        settings.cycleResetDaily = elements.cycleResetDaily.checked;
 
         // Clamp values
         settings.workDuration = Math.max(1, Math.min(60, settings.workDuration));
         settings.shortBreakDuration = Math.max(1, Math.min(15, settings.shortBreakDuration));
         settings.longBreakDuration = Math.max(5, Math.min(60, settings.longBreakDuration));
         settings.pomodorosUntilLongBreak = Math.max(2, Math.min(10, settings.pomodorosUntilLongBreak));
+        settings.dailyGoal = Math.max(1, Math.min(24, settings.dailyGoal));
+        settings.dailyGoalMinutes = Math.max(5, Math.min(960, settings.dailyGoalMinutes));
+        settings.streakFreezes = Math.max(0, Math.min(10, settings.streakFreezes));
+        settings.cycleResetIdleMinutes = Math.max(0, Math.min(1440, settings.cycleResetIdleMinutes));
 
         save();
         applyTheme();
         closeModal();
 
-        if (onSettingsChange) {
-            onSettingsChange(settings);
-        }
+        notifyChange();
     }
 
     /**
-     * Reset settings to defaults
+     * Show the daily goal input for the chosen unit
+     */
+    function updateGoalFields() {
+        const inMinutes = elements.dailyGoalUnit.value === 'minutes';
+        elements.dailyGoal.classList.toggle('hidden', inMinutes);
+        elements.dailyGoalMinutes.classList.toggle('hidden', !inMinutes);
+    }
+
+    /**
+     * Notify subscribers of changed settings
+     */
+    function notifyChange() {
+        emitter.emit('change', get());
+    }
+
+    /**
+     * Reset settings to defaults (user-defined sequences are kept)
      */
     function resetToDefaults() {
-        settings = { ...defaults };
+        settings = { ...defaults, customSequences: settings.customSequences };
         populateForm();
     }
 
+    /**
+     * Fill the sequence picker with every available sequence
+     */
+    function renderSequenceOptions(selectedId) {
+        elements.sequenceSelect.innerHTML = '';
+        Sequences.getAll(settings).forEach(sequence => {
+            const option = document.createElement('option');
+            option.value = sequence.id;
+            option.textContent = sequence.name;
+            option.selected = sequence.id === selectedId;
+            elements.sequenceSelect.appendChild(option);
+        });
+        updateSequenceButtons();
+    }
+
+    /**
+     * Built-in sequences can only be duplicated, custom ones edited
+     */
+    function updateSequenceButtons() {
+        const custom = Sequences.isCustom(settings, elements.sequenceSelect.value);
+        elements.editSequence.textContent = custom ? 'Edit' : 'Duplicate';
+    }
+
+    /**
+     * Open the selected sequence in the editor
+     */
+    function editSelectedSequence() {
+        const id = elements.sequenceSelect.value;
+        const sequence = Sequences.getAll(settings).find(seq => seq.id === id);
+        if (sequence) {
+            Sequences.openEditor(sequence, Sequences.isCustom(settings, id));
+        }
+    }
+
+    /**
+     * Open the editor for a brand new sequence
+     */
+    function createSequence() {
+        Sequences.openEditor({
+            name: 'My Sequence',
+            phases: [
+                { label: 'Focus', duration: 25, color: '#e74c3c', isBreak: false },
+                { label: 'Break', duration: 5, color: '#27ae60', isBreak: true }
+            ],
+            loopFrom: 0
+        }, false);
+    }
+
+    /**
+     * Store a sequence from the editor and select it
+     */
+    function handleSequenceSave(sequence) {
+        const customSequences = settings.customSequences.filter(seq => seq.id !== sequence.id);
+        const index = settings.customSequences.findIndex(seq => seq.id === sequence.id);
+        customSequences.splice(index === -1 ? customSequences.length : index, 0, sequence);
+        settings.customSequences = customSequences;
+        save();
+
+        renderSequenceOptions(sequence.id);
+
+        // Editing the running sequence takes effect right away
+        if (sequence.id === settings.sequenceId) {
+            notifyChange();
+        }
+    }
+
+    /**
+     * Remove a custom sequence, falling back to the classic cycle if it was active
+     */
+    function handleSequenceDelete(id) {
+        settings.customSequences = settings.customSequences.filter(seq => seq.id !== id);
+        const wasActive = settings.sequenceId === id;
+        if (wasActive) {
+            settings.sequenceId = defaults.sequenceId;
+        }
+        save();
+
+        renderSequenceOptions(wasActive ? settings.sequenceId : elements.sequenceSelect.value);
+
+        if (wasActive) {
+            notifyChange();
+        }
+    }
+
     /**
      * Reset all application data
      */
@@ -190,14 +359,16 @@ const Settings = (function() {
 
         // Clear all pomodoro-related localStorage keys
         localStorage.removeItem('pomodoro_settings');
-        localStorage.removeItem('pomodoro_stats');
         localStorage.removeItem('pomodoro_tasks');
         localStorage.removeItem('pomodoro_timer_state');
         localStorage.removeItem('pomodoro_active_task');
         localStorage.removeItem('pomodoro_history');
+        localStorage.removeItem('pomodoro_task_archive');
+        localStorage.removeItem('pomodoro_plan');
 
-        // Reload the page to reset everything
-        window.location.reload();
+        // Reload the page to reset everything once the session history,
+        // kept in IndexedDB, is gone too
+        HistoryStore.clear(() => window.location.reload());
     }
 
     /**
@@ -218,13 +389,6 @@ const Settings = (function() {
         return { ...settings };
     }
 
-    /**
-     * Set callback for settings changes
-     */
-    function setOnSettingsChange(callback) {
-        onSettingsChange = callback;
-    }
-
     /**
      * Check if sound is enabled
      */
@@ -324,9 +488,13 @@ const Settings = (function() {
 
     // Public API
     return {
+        STORAGE_KEY,
         init,
         get,
-        setOnSettingsChange,
+        reload,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off,
         isSoundEnabled,
         areBrowserNotificationsEnabled,
         isAutoStartEnabled,
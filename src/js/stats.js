@@ -0,0 +1,249 @@
+/**
+ * Stats Module
+ * Works out the statistics from the session history, the one record of
+ * what was done: today's pomodoros, focus time and overtime, progress on
+ * the daily goal, the streak of days meeting it, and how well breaks are kept
+ */
+
+const Stats = (function() {
+    // Counters the app kept alongside the history before they were worked
+    // out from it
+    const LEGACY_KEY = 'pomodoro_stats';
+    // The streak those counters had reached, carried into the derived one
+    const CARRIED_STREAK_KEY = 'pomodoro_carried_streak';
+
+    let stats = {
+        todayPomodoros: 0,
+        todayFocusTime: 0, // in minutes, including overtime
+        todayOvertime: 0, // in minutes
+        goal: { unit: 'pomodoros', target: 8, progress: 0, met: false },
+        breaks: { taken: 0, skipped: 0, rate: null },
+        streak: 0,
+        freezesLeft: 0 // this month
+    };
+
+    // { streak, date: YYYY-MM-DD of its last day } from the legacy counters,
+    // or null
+    let carriedStreak = null;
+
+    // Events: change (stats)
+    const emitter = Events.createEmitter();
+
+    /**
+     * Start following the session history
+     */
+    function init() {
+        carriedStreak = loadCarriedStreak();
+        HistoryStore.on('change', refresh);
+        Settings.on('change', refresh);
+        refresh();
+    }
+
+    /**
+     * Load the streak carried over from the legacy counters. The first time
+     * round it is taken out of them, and they are removed.
+     */
+    function loadCarriedStreak() {
+        try {
+            const legacy = localStorage.getItem(LEGACY_KEY);
+            if (legacy !== null) {
+                const { streak, lastStreakDate } = JSON.parse(legacy) || {};
+                if (streak > 0 && lastStreakDate) {
+                    const date = Recurrence.toDateKey(new Date(lastStreakDate));
+                    localStorage.setItem(CARRIED_STREAK_KEY, JSON.stringify({ streak, date }));
+                }
+                localStorage.removeItem(LEGACY_KEY);
+            }
+            return JSON.parse(localStorage.getItem(CARRIED_STREAK_KEY));
+        } catch (e) {
+            console.error('Failed to load carried streak:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a history entry counts as a pomodoro: a focus session
+     * seen through to the end
+     */
+    function isPomodoro(entry) {
+        return entry.type === 'work' && entry.outcome === 'completed';
+    }
+
+    /**
+     * Measure how well breaks are kept: the share taken in full rather than
+     * skipped. A break reset part-way starts over rather than being missed,
+     * so it doesn't count either way.
+     * @param {Object[]} sessions - history entries
+     * @returns {Object} { taken, skipped, rate } where rate is from 0 to 1,
+     *     or null without any breaks
+     */
+    function getBreakAdherence(sessions) {
+        const breaks = sessions.filter(entry => entry.type === 'break');
+        const taken = breaks.filter(entry => entry.outcome === 'completed').length;
+        const skipped = breaks.filter(entry => entry.outcome === 'skipped').length;
+        return { taken, skipped, rate: taken + skipped > 0 ? taken / (taken + skipped) : null };
+    }
+
+    /**
+     * Count pomodoros per day
+     * @param {Object[]} sessions - history entries
+     * @returns {Object} counts keyed by YYYY-MM-DD
+     */
+    function countByDay(sessions) {
+        const counts = {};
+        sessions.forEach(entry => {
+            if (!isPomodoro(entry)) return;
+            const key = Recurrence.toDateKey(new Date(entry.timestamp));
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Add up pomodoros and focus minutes (including overtime) per day
+     * @param {Object[]} sessions - history entries
+     * @returns {Object} { pomodoros, minutes } keyed by YYYY-MM-DD
+     */
+    function getDayTotals(sessions) {
+        const totals = {};
+        sessions.forEach(entry => {
+            if (!isPomodoro(entry)) return;
+            const key = Recurrence.toDateKey(new Date(entry.timestamp));
+            const total = totals[key] = totals[key] || { pomodoros: 0, minutes: 0 };
+            total.pomodoros++;
+            total.minutes += entry.duration + (entry.overtime || 0);
+        });
+        return totals;
+    }
+
+    /**
+     * Get the daily goal from the settings
+     * @returns {Object} { unit: 'pomodoros' or 'minutes', target }
+     */
+    function getGoal(settings) {
+        return settings.dailyGoalUnit === 'minutes'
+            ? { unit: 'minutes', target: settings.dailyGoalMinutes }
+            : { unit: 'pomodoros', target: settings.dailyGoal };
+    }
+
+    /**
+     * Check whether a day's totals meet the daily goal
+     */
+    function meetsGoal(total, goal) {
+        return !!total && total[goal.unit] >= goal.target;
+    }
+
+    /**
+     * Count the days in a row the daily goal was met, up to today. Rest
+     * days and today, while it lasts, don't break the streak; nor do missed
+     * days while the month has freezes left, though they don't add to it.
+     * @param {Object} dayTotals - from getDayTotals
+     * @param {Object} settings - daily goal, restDays and streakFreezes
+     * @param {Object} [carried] - { streak, date } the streak had reached by
+     *     that day before it was worked out from the history
+     * @returns {Object} { streak, freezesLeft: freezes left this month }
+     */
+    function getStreak(dayTotals, settings, now = new Date(), carried = null) {
+        const goal = getGoal(settings);
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const todayKey = Recurrence.toDateKey(today);
+        const freezesUsed = {};
+        const days = Object.keys(dayTotals);
+        if (carried) {
+            days.push(carried.date);
+        }
+        days.sort();
+        let streak = 0;
+
+        // Walk forward from the first day worked, so freezes are spent on
+        // misses in the order they happened
+        const date = new Date(days.length ? `${days[0]}T00:00` : today);
+        for (; date <= today; date.setDate(date.getDate() + 1)) {
+            const key = Recurrence.toDateKey(date);
+            const month = key.slice(0, 7);
+
+            if (meetsGoal(dayTotals[key], goal)) {
+                streak++;
+            } else if (key !== todayKey && !settings.restDays.includes(date.getDay())) {
+                if (streak > 0 && (freezesUsed[month] || 0) < settings.streakFreezes) {
+                    freezesUsed[month] = (freezesUsed[month] || 0) + 1;
+                } else {
+                    streak = 0;
+                }
+            }
+
+            if (carried && key === carried.date) {
+                streak = Math.max(streak, carried.streak);
+            }
+        }
+
+        return {
+            streak,
+            freezesLeft: settings.streakFreezes - (freezesUsed[todayKey.slice(0, 7)] || 0)
+        };
+    }
+
+    /**
+     * Work out the stats from the whole session history
+     * @param {Object[]} sessions - history entries
+     * @param {Object} settings - app settings, for the daily goal and
+     *     streak rules
+     * @param {Object} [carried] - streak carried over, see getStreak
+     * @returns {Object} { todayPomodoros, todayFocusTime, todayOvertime,
+     *     goal: { unit, target, progress, met }, breaks: today's break
+     *     adherence, streak, freezesLeft }
+     */
+    function summarize(sessions, settings, now = new Date(), carried = null) {
+        const todayKey = Recurrence.toDateKey(now);
+        const todaySessions = sessions.filter(entry => Recurrence.toDateKey(new Date(entry.timestamp)) === todayKey);
+        const today = todaySessions.filter(isPomodoro);
+        const overtime = today.reduce((sum, entry) => sum + (entry.overtime || 0), 0);
+        const dayTotals = getDayTotals(sessions);
+        const goal = getGoal(settings);
+        const todayTotal = dayTotals[todayKey] || { pomodoros: 0, minutes: 0 };
+
+        return {
+            todayPomodoros: today.length,
+            todayFocusTime: today.reduce((sum, entry) => sum + entry.duration, 0) + overtime,
+            todayOvertime: overtime,
+            goal: { ...goal, progress: todayTotal[goal.unit], met: meetsGoal(todayTotal, goal) },
+            breaks: getBreakAdherence(todaySessions),
+            ...getStreak(dayTotals, settings, now, carried)
+        };
+    }
+
+    /**
+     * Work the stats out again, e.g. after the history or the goal changed
+     * or a new day began
+     */
+    function refresh() {
+        HistoryStore.getRange(new Date(0), null, sessions => {
+            stats = summarize(sessions, Settings.get(), new Date(), carriedStreak);
+            emitter.emit('change', get());
+        });
+    }
+
+    /**
+     * Get the current stats
+     */
+    function get() {
+        return { ...stats, goal: { ...stats.goal }, breaks: { ...stats.breaks } };
+    }
+
+    // Public API
+    return {
+        init,
+        refresh,
+        get,
+        isPomodoro,
+        getBreakAdherence,
+        countByDay,
+        getDayTotals,
+        getGoal,
+        getStreak,
+        summarize,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
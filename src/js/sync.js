@@ -0,0 +1,105 @@
+/**
+ * Sync Module
+ * Coordinates tabs of the app open at the same time. One tab leads: it
+ * finishes and credits sessions, while every tab follows the shared state
+ * through storage events.
+ */
+
+const Sync = (function() {
+    const LEADER_KEY = 'pomodoro_leader';
+    const KEY_PREFIX = 'pomodoro_';
+
+    const HEARTBEAT_INTERVAL = 2000; // ms
+    // A leader that hasn't checked in for this long is assumed closed
+    const LEADER_TIMEOUT = 5000; // ms
+
+    const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    let heartbeatId = null;
+
+    // Events: change ({ key, value } of app data written by another tab)
+    const emitter = Events.createEmitter();
+
+    /**
+     * Start taking part in leader election
+     */
+    function init() {
+        heartbeat();
+        heartbeatId = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+
+        window.addEventListener('storage', handleStorage);
+        window.addEventListener('pagehide', release);
+    }
+
+    /**
+     * Read the current leader record
+     */
+    function readLeader() {
+        try {
+            const saved = localStorage.getItem(LEADER_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Failed to read tab leader:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether this tab currently leads
+     */
+    function isLeader() {
+        const leader = readLeader();
+        return !!leader && leader.id === tabId;
+    }
+
+    /**
+     * Renew the lead, or take it over when the leader has gone quiet
+     */
+    function heartbeat() {
+        const leader = readLeader();
+        const now = Date.now();
+
+        if (!leader || leader.id === tabId || now - leader.beat > LEADER_TIMEOUT) {
+            try {
+                localStorage.setItem(LEADER_KEY, JSON.stringify({ id: tabId, beat: now }));
+            } catch (e) {
+                console.error('Failed to claim tab leader:', e);
+            }
+        }
+    }
+
+    /**
+     * Hand the lead over when the tab closes
+     */
+    function release() {
+        clearInterval(heartbeatId);
+        if (isLeader()) {
+            localStorage.removeItem(LEADER_KEY);
+        }
+    }
+
+    /**
+     * Relay app data written by other tabs
+     */
+    function handleStorage(e) {
+        if (e.key === LEADER_KEY) {
+            // The leader closed; step in straight away
+            if (e.newValue === null) {
+                heartbeat();
+            }
+            return;
+        }
+
+        if (e.key && e.key.startsWith(KEY_PREFIX)) {
+            emitter.emit('change', { key: e.key, value: e.newValue });
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        isLeader,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
@@ -0,0 +1,300 @@
+/**
+ * Task Detail Module
+ * Panel for editing a task: its text, estimate, project, tags, notes,
+ * subtasks, priority, due date and repeat rule
+ */
+
+const TaskDetail = (function() {
+    const MAX_ESTIMATE = 10;
+    const MAX_INTERVAL = 365; // days
+    const SHOWN_OCCURRENCES = 10;
+
+    let editingId = null;
+    let editingRecurrence = null;
+
+    // Events: save ({ id, changes })
+    const emitter = Events.createEmitter();
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('task-modal'),
+        closeBtn: document.getElementById('close-task-detail'),
+        cancelBtn: document.getElementById('cancel-task-detail'),
+        saveBtn: document.getElementById('save-task-detail'),
+        text: document.getElementById('task-detail-text'),
+        estimate: document.getElementById('task-detail-estimate'),
+        estimateNote: document.getElementById('task-detail-rollup'),
+        project: document.getElementById('task-detail-project'),
+        projectOptions: document.getElementById('task-project-options'),
+        tags: document.getElementById('task-detail-tags'),
+        priority: document.getElementById('task-detail-priority'),
+        dueDate: document.getElementById('task-detail-due'),
+        notes: document.getElementById('task-detail-notes'),
+        subtaskList: document.getElementById('task-detail-subtasks'),
+        addSubtaskBtn: document.getElementById('add-subtask'),
+        repeat: document.getElementById('task-detail-repeat'),
+        repeatDays: document.getElementById('task-repeat-days'),
+        repeatIntervalRow: document.getElementById('task-repeat-interval-row'),
+        repeatInterval: document.getElementById('task-detail-interval'),
+        occurrences: document.getElementById('task-detail-occurrences')
+    };
+
+    /**
+     * Initialize the task detail panel
+     */
+    function init() {
+        elements.closeBtn.addEventListener('click', close);
+        elements.cancelBtn.addEventListener('click', close);
+        elements.saveBtn.addEventListener('click', saveFromForm);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        elements.repeat.addEventListener('change', updateRepeatFields);
+        elements.addSubtaskBtn.addEventListener('click', () => {
+            appendSubtaskRow({ text: '', done: false, estimatedPomodoros: 0 }).querySelector('.subtask-text').focus();
+            updateRollup();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && !elements.modal.classList.contains('hidden')) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+    }
+
+    /**
+     * Get the estimate of a task, rolled up from its subtasks when they
+     * have estimates of their own
+     */
+    function getEstimate(task) {
+        const subtaskEstimate = sumSubtaskEstimates(task.subtasks || []);
+        return subtaskEstimate > 0 ? subtaskEstimate : (task.estimatedPomodoros || 1);
+    }
+
+    /**
+     * Add up subtask estimates
+     */
+    function sumSubtaskEstimates(subtasks) {
+        return subtasks.reduce((sum, subtask) => sum + (subtask.estimatedPomodoros || 0), 0);
+    }
+
+    /**
+     * Check whether an incomplete task is past its due date
+     */
+    function isOverdue(task) {
+        return !task.completed && !!task.dueDate && task.dueDate < Recurrence.toDateKey(new Date());
+    }
+
+    /**
+     * Format a due date for display, e.g. "Oct 20"
+     */
+    function formatDueDate(dueDate) {
+        return new Date(`${dueDate}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Split tag input into unique tags, with or without a leading #
+     */
+    function parseTags(input) {
+        const tags = input.split(/[\s,]+/)
+            .map(tag => tag.replace(/^#+/, '').toLowerCase())
+            .filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    /**
+     * Open the panel for a task
+     * @param {Object} task - task to edit
+     * @param {string[]} [projects] - existing projects to suggest
+     */
+    function open(task, projects = []) {
+        editingId = task.id;
+        elements.text.value = task.text;
+        elements.estimate.value = task.estimatedPomodoros || 1;
+        elements.project.value = task.project || '';
+        elements.tags.value = (task.tags || []).map(tag => `#${tag}`).join(' ');
+
+        elements.projectOptions.innerHTML = '';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project;
+            elements.projectOptions.appendChild(option);
+        });
+        elements.priority.value = task.priority || '';
+        elements.dueDate.value = task.dueDate || '';
+        elements.notes.value = task.notes || '';
+
+        editingRecurrence = task.recurrence || null;
+        const rule = editingRecurrence || {};
+        elements.repeat.value = rule.type || '';
+        elements.repeatInterval.value = rule.interval || 2;
+        elements.repeatDays.querySelectorAll('input').forEach(input => {
+            input.checked = (rule.days || []).includes(parseInt(input.value));
+        });
+        updateRepeatFields();
+        renderOccurrences(task.occurrences || []);
+
+        elements.subtaskList.innerHTML = '';
+        (task.subtasks || []).forEach(appendSubtaskRow);
+        updateRollup();
+
+        elements.modal.classList.remove('hidden');
+        elements.text.focus();
+    }
+
+    /**
+     * Close the panel without saving
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+        editingId = null;
+    }
+
+    /**
+     * Show the day picker or interval for the selected repeat rule
+     */
+    function updateRepeatFields() {
+        elements.repeatDays.classList.toggle('hidden', elements.repeat.value !== 'weekly');
+        elements.repeatIntervalRow.classList.toggle('hidden', elements.repeat.value !== 'interval');
+    }
+
+    /**
+     * List how the most recent occurrences of a recurring task went
+     */
+    function renderOccurrences(occurrences) {
+        const recent = occurrences.slice(-SHOWN_OCCURRENCES).reverse();
+        elements.occurrences.classList.toggle('hidden', recent.length === 0);
+        elements.occurrences.innerHTML = recent.map(occurrence => `
+            <li class="occurrence${occurrence.completed ? ' done' : ''}" title="${occurrence.completed ? 'Completed' : 'Not completed'}">
+                <span class="occurrence-date">${formatDueDate(occurrence.date)}</span>
+                <span class="occurrence-status">${occurrence.completed ? '✓' : '✗'}</span>
+                <span class="occurrence-pomodoros">${occurrence.actualPomodoros} 🍅</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Read the repeat rule from the form
+     * @returns {Object|null} rule, or null for a one-off task
+     */
+    function getRecurrenceFromForm() {
+        const type = elements.repeat.value;
+        if (!type) return null;
+
+        const today = Recurrence.toDateKey(new Date());
+        const rule = { type };
+        if (type === 'weekly') {
+            rule.days = Array.from(elements.repeatDays.querySelectorAll('input:checked'))
+                .map(input => parseInt(input.value));
+            if (rule.days.length === 0) {
+                rule.days = [new Date().getDay()];
+            }
+        } else if (type === 'interval') {
+            rule.interval = Math.max(1, Math.min(MAX_INTERVAL, parseInt(elements.repeatInterval.value) || 1));
+            // Keep counting from the same day unless the interval changed
+            const previous = editingRecurrence || {};
+            rule.startDate = previous.type === 'interval' && previous.interval === rule.interval && previous.startDate
+                ? previous.startDate
+                : today;
+        }
+        return rule;
+    }
+
+    /**
+     * Add an editable row for a subtask
+     * @returns {HTMLElement} the row
+     */
+    function appendSubtaskRow(subtask) {
+        const li = document.createElement('li');
+        li.className = 'subtask-item';
+        li.dataset.subtaskId = subtask.id || `${Date.now()}-${elements.subtaskList.children.length}`;
+        li.innerHTML = `
+            <input type="checkbox" class="subtask-done" aria-label="Subtask done">
+            <input type="text" class="subtask-text" aria-label="Subtask" maxlength="200">
+            <input type="number" class="subtask-estimate" min="0" max="${MAX_ESTIMATE}" aria-label="Estimated pomodoros" title="Estimated pomodoros">
+            <button type="button" class="icon-btn remove-subtask-btn" aria-label="Remove subtask">&times;</button>
+        `;
+        li.querySelector('.subtask-done').checked = subtask.done;
+        li.querySelector('.subtask-text').value = subtask.text;
+        li.querySelector('.subtask-estimate').value = subtask.estimatedPomodoros || 0;
+        li.querySelector('.subtask-estimate').addEventListener('input', updateRollup);
+        li.querySelector('.remove-subtask-btn').addEventListener('click', () => {
+            li.remove();
+            updateRollup();
+        });
+        elements.subtaskList.appendChild(li);
+        return li;
+    }
+
+    /**
+     * Read subtasks from the editor rows, dropping empty ones
+     */
+    function getSubtasksFromForm() {
+        return Array.from(elements.subtaskList.children)
+            .map(li => ({
+                id: li.dataset.subtaskId,
+                text: li.querySelector('.subtask-text').value.trim(),
+                done: li.querySelector('.subtask-done').checked,
+                estimatedPomodoros: Math.max(0, Math.min(MAX_ESTIMATE,
+                    parseInt(li.querySelector('.subtask-estimate').value) || 0))
+            }))
+            .filter(subtask => subtask.text);
+    }
+
+    /**
+     * Show the rolled-up estimate while subtasks carry estimates
+     */
+    function updateRollup() {
+        const rolledUp = sumSubtaskEstimates(getSubtasksFromForm());
+        elements.estimate.disabled = rolledUp > 0;
+        elements.estimateNote.classList.toggle('hidden', rolledUp === 0);
+        if (rolledUp > 0) {
+            elements.estimate.value = rolledUp;
+        }
+    }
+
+    /**
+     * Save the task in the panel
+     */
+    function saveFromForm() {
+        const text = elements.text.value.trim();
+        if (!editingId || !text) return;
+
+        const subtasks = getSubtasksFromForm();
+        const estimate = parseInt(elements.estimate.value) || 1;
+        const changes = {
+            text,
+            project: elements.project.value.trim() || null,
+            tags: parseTags(elements.tags.value),
+            notes: elements.notes.value.trim(),
+            subtasks,
+            priority: elements.priority.value || null,
+            dueDate: elements.dueDate.value || null,
+            recurrence: getRecurrenceFromForm()
+        };
+        changes.estimatedPomodoros = getEstimate({
+            subtasks,
+            estimatedPomodoros: Math.max(1, Math.min(MAX_ESTIMATE, estimate))
+        });
+
+        const id = editingId;
+        close();
+        emitter.emit('save', { id, changes });
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        getEstimate,
+        parseTags,
+        isOverdue,
+        formatDueDate,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off
+    };
+})();
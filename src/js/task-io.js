@@ -0,0 +1,464 @@
+/**
+ * Task IO Module
+ * Imports tasks from, and exports them to, Markdown checklists and todo.txt
+ */
+
+const TaskIO = (function() {
+    // todo.txt priorities A-C map to ours; D and below count as low
+    const TODO_PRIORITIES = { A: 'high', B: 'medium', C: 'low' };
+    const PRIORITY_LETTERS = { high: 'A', medium: 'B', low: 'C' };
+
+    const MARKDOWN_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+    const MARKDOWN_HEADING = /^(#{1,6})\s+(.*)$/;
+    const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+    // DOM Elements
+    const elements = {
+        modal: document.getElementById('import-modal'),
+        openBtn: document.getElementById('open-import-btn'),
+        closeBtn: document.getElementById('close-import'),
+        text: document.getElementById('import-text'),
+        file: document.getElementById('import-file'),
+        format: document.getElementById('import-format'),
+        extraProjects: document.getElementById('import-extra-projects'),
+        summary: document.getElementById('import-summary'),
+        importBtn: document.getElementById('import-btn'),
+        exportFormat: document.getElementById('export-format'),
+        exportBtn: document.getElementById('export-btn'),
+        downloadBtn: document.getElementById('export-download')
+    };
+
+    /**
+     * Initialize import and export
+     */
+    function init() {
+        elements.openBtn.addEventListener('click', open);
+        elements.closeBtn.addEventListener('click', close);
+        elements.modal.addEventListener('click', (e) => {
+            if (e.target === elements.modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && !elements.modal.classList.contains('hidden')) {
+                e.stopImmediatePropagation();
+                close();
+            }
+        });
+
+        elements.text.addEventListener('input', updateSummary);
+        elements.format.addEventListener('change', updateSummary);
+        elements.extraProjects.addEventListener('change', updateSummary);
+        elements.file.addEventListener('change', () => {
+            if (elements.file.files.length > 0) {
+                readFile(elements.file.files[0]);
+            }
+        });
+        elements.text.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.text.classList.add('drag-over');
+        });
+        elements.text.addEventListener('dragleave', () => {
+            elements.text.classList.remove('drag-over');
+        });
+        elements.text.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.text.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) {
+                readFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        elements.importBtn.addEventListener('click', importFromForm);
+        elements.exportBtn.addEventListener('click', () => {
+            elements.text.value = exportTasks(Tasks.getTasks(), elements.exportFormat.value);
+            updateSummary();
+            elements.text.select();
+        });
+        elements.downloadBtn.addEventListener('click', download);
+    }
+
+    /**
+     * Open the import/export panel
+     */
+    function open() {
+        elements.modal.classList.remove('hidden');
+        updateSummary();
+        elements.text.focus();
+    }
+
+    /**
+     * Close the import/export panel
+     */
+    function close() {
+        elements.modal.classList.add('hidden');
+    }
+
+    /**
+     * Load a dropped or picked file into the text box
+     */
+    function readFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            elements.text.value = reader.result;
+            if (/\.md$|\.markdown$/i.test(file.name)) {
+                elements.format.value = 'markdown';
+            } else if (/todo.*\.txt$/i.test(file.name)) {
+                elements.format.value = 'todotxt';
+            }
+            updateSummary();
+        };
+        reader.onerror = () => console.error('Failed to read file:', reader.error);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Guess the format of pasted text: Markdown if it has checklist items,
+     * todo.txt otherwise
+     */
+    function detectFormat(text) {
+        return text.split('\n').some(line => MARKDOWN_ITEM.test(line)) ? 'markdown' : 'todotxt';
+    }
+
+    /**
+     * Parse tasks from text
+     * @param {string} text - Markdown checklist or todo.txt
+     * @param {string} [format] - 'markdown', 'todotxt' or 'auto'
+     * @param {Object} [options] - todo.txt options, see parseTodoTxt
+     * @returns {Object[]} task fields: text, completed, completedAt,
+     *     createdAt, estimatedPomodoros, priority, project, tags, dueDate,
+     *     subtasks, and for todo.txt extraProjects
+     */
+    function parse(text, format = 'auto', options = {}) {
+        const resolved = format === 'auto' ? detectFormat(text) : format;
+        return resolved === 'markdown' ? parseMarkdown(text) : parseTodoTxt(text, options);
+    }
+
+    /**
+     * Get the import options chosen in the panel
+     */
+    function getImportOptions() {
+        return {
+            extraProjectsAsTags: elements.extraProjects.checked,
+            projects: Tasks.getProjects()
+        };
+    }
+
+    /**
+     * Parse a Markdown checklist. Quick-add syntax in an item sets its
+     * attributes, a ## heading sets the project of the items under it, and
+     * indented items become subtasks.
+     */
+    function parseMarkdown(text) {
+        const tasks = [];
+        let heading = null;
+        let parent = null;
+
+        text.split('\n').forEach(line => {
+            // A top-level heading titles the document rather than a project
+            const headingMatch = line.match(MARKDOWN_HEADING);
+            if (headingMatch) {
+                heading = headingMatch[1].length > 1 ? headingMatch[2].trim() || null : null;
+                parent = null;
+                return;
+            }
+
+            const match = line.match(MARKDOWN_ITEM);
+            if (!match) return;
+
+            const [, indent, mark, content] = match;
+            const completed = mark !== ' ';
+
+            if (indent.length > 0 && parent) {
+                const subtaskText = content.trim();
+                if (subtaskText) {
+                    parent.subtasks.push({ text: subtaskText, done: completed, estimatedPomodoros: 0 });
+                }
+                return;
+            }
+
+            const parsed = QuickAdd.parse(content);
+            if (!parsed.text) return;
+
+            parent = {
+                text: parsed.text,
+                completed,
+                estimatedPomodoros: parsed.estimatedPomodoros,
+                priority: parsed.priority,
+                project: parsed.project || heading,
+                tags: parsed.tags,
+                dueDate: parsed.dueDate,
+                subtasks: []
+            };
+            tasks.push(parent);
+        });
+
+        return tasks;
+    }
+
+    /**
+     * Parse todo.txt lines: "x" and the completion date, (A) priorities,
+     * creation dates, +project, @context (as tags), due:, and est: for the
+     * pomodoro estimate, and sub: for subtasks as toTodoTxt writes them.
+     *
+     * A task has one project, so only the first +project becomes it. The
+     * others stay in the task's text, and are listed in extraProjects,
+     * unless options.extraProjectsAsTags turns them into tags. Since
+     * projects are written with dashes for spaces, a +project matching one
+     * of options.projects that way takes that project's name.
+     * @param {Object} [options] - { extraProjectsAsTags, projects }
+     */
+    function parseTodoTxt(text, options = {}) {
+        const projects = options.projects || [];
+        const tasks = [];
+
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+
+            const task = parseTodoTxtLine(line.trim(), projects, options.extraProjectsAsTags);
+            if (task.text) {
+                tasks.push(task);
+            }
+        });
+
+        return tasks;
+    }
+
+    /**
+     * Parse one todo.txt task line
+     */
+    function parseTodoTxtLine(line, projects, extraProjectsAsTags) {
+        const words = line.split(/\s+/);
+        const task = {
+            completed: false,
+            estimatedPomodoros: null,
+            priority: null,
+            project: null,
+            tags: [],
+            dueDate: null,
+            subtasks: [],
+            extraProjects: []
+        };
+
+        if (words[0] === 'x') {
+            task.completed = true;
+            words.shift();
+            if (DATE.test(words[0])) {
+                task.completedAt = new Date(`${words.shift()}T12:00`).toISOString();
+            }
+        }
+        const priorityMatch = (words[0] || '').match(/^\(([A-Z])\)$/);
+        if (priorityMatch) {
+            task.priority = TODO_PRIORITIES[priorityMatch[1]] || 'low';
+            words.shift();
+        }
+        if (DATE.test(words[0])) {
+            task.createdAt = new Date(`${words.shift()}T12:00`).toISOString();
+        }
+
+        const textWords = [];
+        words.forEach(word => {
+            const [key, value] = word.split(/:(.+)/);
+            if (word.startsWith('+') && word.length > 1) {
+                const project = projects.find(p => p.replace(/\s+/g, '-') === word.slice(1)) || word.slice(1);
+                if (!task.project) {
+                    task.project = project;
+                } else {
+                    task.extraProjects.push(project);
+                    if (extraProjectsAsTags) {
+                        task.tags.push(word.slice(1).toLowerCase());
+                    } else {
+                        textWords.push(word);
+                    }
+                }
+            } else if (word.startsWith('@') && word.length > 1) {
+                task.tags.push(word.slice(1).toLowerCase());
+            } else if (key === 'due' && DATE.test(value)) {
+                task.dueDate = value;
+            } else if ((key === 'est' || key === 'pomodoros') && /^\d+$/.test(value)) {
+                task.estimatedPomodoros = parseInt(value);
+            } else if (key === 'pri' && TODO_PRIORITIES[value]) {
+                task.priority = TODO_PRIORITIES[value];
+            } else if (key === 'sub' && value) {
+                task.subtasks.push(parseSubtask(value));
+            } else {
+                textWords.push(word);
+            }
+        });
+
+        task.text = textWords.join(' ');
+        task.tags = [...new Set(task.tags)];
+        return task;
+    }
+
+    /**
+     * Read a subtask from the value of a sub: tag: its text, URI-encoded,
+     * after "x:" when it's done
+     */
+    function parseSubtask(value) {
+        const done = value.startsWith('x:');
+        const encoded = done ? value.slice(2) : value;
+        let text = encoded;
+        try {
+            text = decodeURIComponent(encoded);
+        } catch (e) {
+            // Not written by toTodoTxt; keep it as it is
+        }
+        return { text, done, estimatedPomodoros: 0 };
+    }
+
+    /**
+     * Write a subtask as the value of a sub: tag, see parseSubtask
+     */
+    function formatSubtask(subtask) {
+        return `${subtask.done ? 'x:' : ''}${encodeURIComponent(subtask.text)}`;
+    }
+
+    /**
+     * Format tasks as text
+     * @param {Object[]} tasks - tasks to export
+     * @param {string} format - 'markdown' or 'todotxt'
+     */
+    function exportTasks(tasks, format) {
+        return (format === 'todotxt' ? toTodoTxt(tasks) : toMarkdown(tasks)) + '\n';
+    }
+
+    /**
+     * Format tasks as a Markdown checklist in quick-add syntax, with
+     * subtasks indented under their task and a heading per project
+     */
+    function toMarkdown(tasks) {
+        // Tasks without a project go first, before any heading
+        const projects = [...new Set(tasks.map(t => t.project || null))]
+            .sort((a, b) => (a === null ? -1 : 0) - (b === null ? -1 : 0));
+
+        return projects.map(project => {
+            const items = toMarkdownItems(tasks.filter(t => (t.project || null) === project));
+            return project ? `## ${project}\n\n${items}` : items;
+        }).join('\n\n');
+    }
+
+    /**
+     * Format tasks as Markdown checklist items
+     */
+    function toMarkdownItems(tasks) {
+        return tasks.map(task => {
+            const attributes = [
+                ...(task.tags || []).map(tag => `#${tag}`),
+                `~${task.estimatedPomodoros || 1}`,
+                task.priority ? `!${task.priority}` : null,
+                task.dueDate ? `@${task.dueDate}` : null
+            ].filter(Boolean);
+            const lines = [`- [${task.completed ? 'x' : ' '}] ${[task.text, ...attributes].join(' ')}`];
+            (task.subtasks || []).forEach(subtask => {
+                lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.text}`);
+            });
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    /**
+     * Format tasks as todo.txt, one per line. Completed tasks keep their
+     * priority as pri:, as todo.txt expects. todo.txt projects can't hold
+     * spaces, so they're written with dashes; parseTodoTxt maps them back
+     * to projects that exist. The project comes before the text, which may
+     * hold extra +projects kept from an import, since the first +project is
+     * the one parseTodoTxt takes. todo.txt has no subtasks either, so each
+     * one is a sub: tag on its task's line.
+     */
+    function toTodoTxt(tasks) {
+        return tasks.map(task => {
+            const parts = [];
+            const letter = PRIORITY_LETTERS[task.priority];
+
+            if (task.completed) {
+                parts.push('x');
+                if (task.completedAt) {
+                    parts.push(Recurrence.toDateKey(new Date(task.completedAt)));
+                }
+            } else if (letter) {
+                parts.push(`(${letter})`);
+            }
+            if (task.createdAt) {
+                parts.push(Recurrence.toDateKey(new Date(task.createdAt)));
+            }
+
+            if (task.project) {
+                parts.push(`+${task.project.replace(/\s+/g, '-')}`);
+            }
+            parts.push(task.text);
+            (task.tags || []).forEach(tag => parts.push(`@${tag}`));
+            if (task.dueDate) {
+                parts.push(`due:${task.dueDate}`);
+            }
+            parts.push(`est:${task.estimatedPomodoros || 1}`);
+            if (task.completed && letter) {
+                parts.push(`pri:${letter}`);
+            }
+            (task.subtasks || []).forEach(subtask => parts.push(`sub:${formatSubtask(subtask)}`));
+
+            return parts.join(' ');
+        }).join('\n');
+    }
+
+    /**
+     * Show how many tasks the text holds
+     */
+    function updateSummary() {
+        const text = elements.text.value;
+        if (!text.trim()) {
+            elements.summary.textContent = 'Paste a Markdown checklist or todo.txt, or drop a file here.';
+            elements.importBtn.disabled = true;
+            return;
+        }
+
+        const format = elements.format.value === 'auto' ? detectFormat(text) : elements.format.value;
+        const tasks = parse(text, format, getImportOptions());
+        const completed = tasks.filter(t => t.completed).length;
+        // Tasks have one project; say what happens to any others
+        const extra = tasks.reduce((sum, t) => sum + (t.extraProjects || []).length, 0);
+        const asTags = elements.extraProjects.checked;
+        const extraNote = extra === 1
+            ? ` 1 extra +project ${asTags ? 'becomes a tag' : 'stays in the task text'}.`
+            : extra > 1 ? ` ${extra} extra +projects ${asTags ? 'become tags' : 'stay in the task text'}.` : '';
+        elements.summary.textContent = `${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} found` +
+            `${completed ? ` (${completed} completed)` : ''} as ${format === 'markdown' ? 'Markdown' : 'todo.txt'}.${extraNote}`;
+        elements.importBtn.disabled = tasks.length === 0;
+    }
+
+    /**
+     * Import the tasks in the text box
+     */
+    function importFromForm() {
+        const tasks = parse(elements.text.value, elements.format.value, getImportOptions());
+        if (tasks.length === 0) return;
+
+        Tasks.importTasks(tasks);
+        elements.text.value = '';
+        close();
+    }
+
+    /**
+     * Download all tasks in the chosen export format
+     */
+    function download() {
+        const format = elements.exportFormat.value;
+        const blob = new Blob([exportTasks(Tasks.getTasks(), format)], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = format === 'todotxt' ? 'todo.txt' : 'tasks.md';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        parse,
+        exportTasks
+    };
+})();
@@ -6,32 +6,75 @@
 const Tasks = (function() {
     let tasks = [];
     let activeTaskId = null;
-    let onTasksChange = null;
-    let onActiveTaskChange = null;
     let draggedTaskId = null;
 
+    // Task the list's keyboard focus rests on
+    let selectedTaskId = null;
+
+    // Undoable changes, most recent last: { action, ids, before, after }
+    const MAX_UNDO = 50;
+    const ACTION_LABELS = {
+        add: 'add task',
+        complete: 'complete task',
+        reopen: 'reopen task',
+        edit: 'edit task',
+        delete: 'delete task',
+        move: 'move task',
+        clear: 'clear completed tasks',
+        import: 'import tasks'
+    };
+    let undoStack = [];
+    let redoStack = [];
+
+    // Completion history kept per recurring task
+    const MAX_OCCURRENCES = 60;
+
+    // Only tasks in this project and with all of these tags are listed
+    let filter = { project: null, tags: [] };
+
+    // Events: load, change, activeTaskChange, add, toggle, update, delete,
+    // reorder, pomodoro, clearCompleted, regenerate, undo, redo, restore,
+    // import
+    const emitter = Events.createEmitter();
+
     // DOM Elements
     const elements = {
         taskInput: document.getElementById('task-input'),
         taskEstimate: document.getElementById('task-estimate'),
         addTaskBtn: document.getElementById('add-task-btn'),
-        taskList: document.getElementById('task-list')
+        quickPreview: document.getElementById('task-quick-preview'),
+        taskFilters: document.getElementById('task-filters'),
+        taskList: document.getElementById('task-list'),
+        clearCompletedBtn: document.getElementById('clear-completed-btn'),
+        announcer: document.getElementById('task-announcer')
     };
 
     /**
      * Initialize tasks module
      */
     function init(savedTasks, savedActiveTaskId) {
-        if (savedTasks && Array.isArray(savedTasks)) {
-            tasks = savedTasks;
-        }
-        if (savedActiveTaskId) {
-            // Verify the task still exists
-            const taskExists = tasks.some(t => t.id === savedActiveTaskId && !t.completed);
-            activeTaskId = taskExists ? savedActiveTaskId : null;
-        }
         bindEvents();
+        TaskDetail.on('save', ({ id, changes }) => updateTask(id, changes));
+        Plan.on('change', render);
+        load(savedTasks, savedActiveTaskId);
+    }
+
+    /**
+     * Replace the task list, e.g. with one saved by another tab
+     */
+    function load(savedTasks, savedActiveTaskId) {
+        tasks = savedTasks && Array.isArray(savedTasks) ? savedTasks : [];
+
+        // Undo history no longer matches a list changed elsewhere
+        undoStack = [];
+        redoStack = [];
+
+        // Verify the task still exists
+        const taskExists = tasks.some(t => t.id === savedActiveTaskId && !t.completed);
+        activeTaskId = taskExists ? savedActiveTaskId : null;
+
         render();
+        emitter.emit('load', getTasks());
     }
 
     /**
@@ -44,31 +87,97 @@ const Tasks = (function() {
                 addTask();
             }
         });
+        elements.taskInput.addEventListener('input', renderQuickPreview);
+        elements.taskList.addEventListener('keydown', handleListKeydown);
+        elements.clearCompletedBtn.addEventListener('click', clearCompleted);
+
+        document.addEventListener('keydown', (e) => {
+            // Text fields keep their own undo
+            if (Keys.isEditableTarget(e.target)) return;
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            if (e.code === 'KeyZ' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((e.code === 'KeyZ' && e.shiftKey) || e.code === 'KeyY') {
+                e.preventDefault();
+                redo();
+            }
+        });
     }
 
     /**
-     * Add a new task
+     * Add a new task, reading quick-add syntax from the input
      */
     function addTask() {
-        const text = elements.taskInput.value.trim();
-        if (!text) return;
+        const parsed = QuickAdd.parse(elements.taskInput.value);
+        if (!parsed.text) return;
 
-        const estimatedPomodoros = parseInt(elements.taskEstimate.value) || 1;
+        const estimatedPomodoros = parsed.estimatedPomodoros || parseInt(elements.taskEstimate.value) || 1;
 
         const task = {
             id: Date.now().toString(),
-            text: text,
+            text: parsed.text,
             completed: false,
             createdAt: new Date().toISOString(),
             estimatedPomodoros: Math.max(1, Math.min(10, estimatedPomodoros)),
-            actualPomodoros: 0
+            actualPomodoros: 0,
+            project: parsed.project || filter.project,
+            tags: [...new Set([...filter.tags, ...parsed.tags])],
+            priority: parsed.priority,
+            dueDate: parsed.dueDate
         };
 
+        const before = captureState([task.id]);
         tasks.push(task);
+        pushHistory('add', [task.id], before);
         elements.taskInput.value = '';
         elements.taskEstimate.value = '1';
+        renderQuickPreview();
+        render();
+        emitter.emit('add', { task: { ...task } });
+        notifyChange();
+    }
+
+    /**
+     * Add tasks in bulk, e.g. imported from a file
+     * @param {Object[]} drafts - task fields: text, and optionally completed,
+     *     completedAt, createdAt, estimatedPomodoros, priority, project, tags,
+     *     dueDate, subtasks
+     */
+    function importTasks(drafts) {
+        const now = Date.now();
+        const imported = drafts.map((draft, index) => {
+            const task = {
+                id: `${now}-${index}`,
+                text: draft.text,
+                completed: !!draft.completed,
+                createdAt: draft.createdAt || new Date().toISOString(),
+                estimatedPomodoros: Math.max(1, Math.min(10, draft.estimatedPomodoros || 1)),
+                actualPomodoros: 0,
+                project: draft.project || null,
+                tags: draft.tags || [],
+                priority: draft.priority || null,
+                dueDate: draft.dueDate || null
+            };
+            if (draft.subtasks && draft.subtasks.length > 0) {
+                task.subtasks = draft.subtasks.map((subtask, subIndex) => ({ id: `${task.id}-${subIndex}`, ...subtask }));
+            }
+            if (task.completed) {
+                task.completedAt = draft.completedAt || new Date().toISOString();
+            }
+            return task;
+        });
+        if (imported.length === 0) return;
+
+        const ids = imported.map(t => t.id);
+        const before = captureState(ids);
+        tasks.push(...imported);
+        pushHistory('import', ids, before);
         render();
+        emitter.emit('import', { tasks: imported.map(t => ({ ...t })) });
         notifyChange();
+        offerUndo(`Imported ${imported.length} ${imported.length === 1 ? 'task' : 'tasks'}`);
     }
 
     /**
@@ -77,6 +186,7 @@ const Tasks = (function() {
     function toggleTask(id) {
         const task = tasks.find(t => t.id === id);
         if (task) {
+            const before = captureState([id]);
             task.completed = !task.completed;
             if (task.completed) {
                 task.completedAt = new Date().toISOString();
@@ -87,22 +197,63 @@ const Tasks = (function() {
             } else {
                 delete task.completedAt;
             }
+            pushHistory(task.completed ? 'complete' : 'reopen', [id], before);
             render();
+            emitter.emit('toggle', { task: { ...task } });
             notifyChange();
         }
     }
 
+    /**
+     * Update a task's details
+     * @param {string} id - task to update
+     * @param {Object} changes - any of text, estimatedPomodoros, project,
+     *     tags, notes, subtasks, priority, dueDate, recurrence
+     */
+    function updateTask(id, changes) {
+        const task = tasks.find(t => t.id === id);
+        if (!task) return;
+
+        const before = captureState([id]);
+        ['text', 'estimatedPomodoros', 'project', 'tags', 'notes', 'subtasks', 'priority', 'dueDate', 'recurrence'].forEach(field => {
+            if (field in changes) {
+                task[field] = changes[field];
+            }
+        });
+
+        // The current instance of a newly recurring task is today's
+        if (task.recurrence && !task.occurrenceDate) {
+            task.occurrenceDate = Recurrence.toDateKey(new Date());
+        } else if (!task.recurrence) {
+            delete task.occurrenceDate;
+        }
+        pushHistory('edit', [id], before);
+        render();
+        emitter.emit('update', { task: { ...task } });
+        if (id === activeTaskId) {
+            emitter.emit('activeTaskChange', task);
+        }
+        notifyChange();
+    }
+
     /**
      * Delete a task
      */
     function deleteTask(id) {
+        const task = tasks.find(t => t.id === id);
+        if (!task) return;
+
         // Clear active task if it was deleted
         if (activeTaskId === id) {
             setActiveTask(null);
         }
+        const before = captureState([id]);
         tasks = tasks.filter(t => t.id !== id);
+        pushHistory('delete', [id], before);
         render();
+        emitter.emit('delete', { task: { ...task } });
         notifyChange();
+        offerUndo(`Deleted "${task.text}"`);
     }
 
     /**
@@ -111,10 +262,8 @@ const Tasks = (function() {
     function setActiveTask(id) {
         activeTaskId = id;
         render();
-        if (onActiveTaskChange) {
-            const activeTask = id ? tasks.find(t => t.id === id) : null;
-            onActiveTaskChange(activeTask);
-        }
+        const activeTask = id ? tasks.find(t => t.id === id) : null;
+        emitter.emit('activeTaskChange', activeTask || null);
     }
 
     /**
@@ -132,19 +281,112 @@ const Tasks = (function() {
         return activeTaskId;
     }
 
+    /**
+     * Get every project in use, sorted by name
+     */
+    function getProjects() {
+        return [...new Set(tasks.map(t => t.project).filter(Boolean))].sort();
+    }
+
+    /**
+     * Get every tag in use, sorted by name
+     */
+    function getTags() {
+        return [...new Set(tasks.flatMap(t => t.tags || []))].sort();
+    }
+
+    /**
+     * Check whether a task passes the current filter
+     */
+    function matchesFilter(task) {
+        if (filter.project && task.project !== filter.project) return false;
+        return filter.tags.every(tag => (task.tags || []).includes(tag));
+    }
+
+    /**
+     * Show only tasks of a project and/or with the given tags
+     * @param {Object} newFilter - { project, tags }; omitted keys are cleared
+     */
+    function setFilter(newFilter) {
+        filter = { project: newFilter.project || null, tags: newFilter.tags || [] };
+        render();
+    }
+
+    /**
+     * Toggle a filter chip: projects are exclusive, tags combine
+     */
+    function toggleFilter(kind, value) {
+        if (kind === 'project') {
+            setFilter({ ...filter, project: filter.project === value ? null : value });
+        } else {
+            const tags = filter.tags.includes(value)
+                ? filter.tags.filter(tag => tag !== value)
+                : [...filter.tags, value];
+            setFilter({ ...filter, tags });
+        }
+    }
+
+    /**
+     * Render the filter chips for projects and tags in use
+     */
+    function renderFilters() {
+        const projects = getProjects();
+        const tags = getTags();
+
+        // Drop filters for projects and tags that no longer exist
+        if (filter.project && !projects.includes(filter.project)) {
+            filter.project = null;
+        }
+        filter.tags = filter.tags.filter(tag => tags.includes(tag));
+
+        elements.taskFilters.innerHTML = '';
+        elements.taskFilters.classList.toggle('hidden', projects.length === 0 && tags.length === 0);
+
+        const isFiltered = filter.project || filter.tags.length > 0;
+        const chips = [{ kind: 'all', value: null, label: 'All', active: !isFiltered }]
+            .concat(projects.map(project => ({ kind: 'project', value: project, label: project, active: filter.project === project })))
+            .concat(tags.map(tag => ({ kind: 'tag', value: tag, label: `#${tag}`, active: filter.tags.includes(tag) })));
+
+        chips.forEach(chip => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `filter-chip ${chip.kind}-chip${chip.active ? ' active' : ''}`;
+            button.textContent = chip.label;
+            button.setAttribute('aria-pressed', chip.active);
+            button.addEventListener('click', () => {
+                if (chip.kind === 'all') {
+                    setFilter({});
+                } else {
+                    toggleFilter(chip.kind, chip.value);
+                }
+            });
+            elements.taskFilters.appendChild(button);
+        });
+    }
+
     /**
      * Render the task list
      */
     function render() {
+        // Re-rendering replaces the focused row, so focus its replacement
+        const hadFocus = elements.taskList.contains(document.activeElement);
         elements.taskList.innerHTML = '';
+        renderFilters();
+        elements.clearCompletedBtn.disabled = !tasks.some(t => t.completed && !t.recurrence);
 
         if (tasks.length === 0) {
             elements.taskList.innerHTML = '<li class="empty-state">No tasks yet. Add one above!</li>';
             return;
         }
 
+        const visibleTasks = tasks.filter(matchesFilter);
+        if (visibleTasks.length === 0) {
+            elements.taskList.innerHTML = '<li class="empty-state">No tasks match the filter.</li>';
+            return;
+        }
+
         // Sort: incomplete first, then completed
-        const sortedTasks = [...tasks].sort((a, b) => {
+        const sortedTasks = visibleTasks.sort((a, b) => {
             if (a.completed === b.completed) return 0;
             return a.completed ? 1 : -1;
         });
@@ -152,9 +394,13 @@ const Tasks = (function() {
         sortedTasks.forEach(task => {
             const li = document.createElement('li');
             const isActive = task.id === activeTaskId;
-            li.className = `task-item${task.completed ? ' completed' : ''}${isActive ? ' active' : ''}`;
+            const isOverdue = TaskDetail.isOverdue(task);
+            const isPlanned = Plan.has(task.id);
+            li.className = `task-item${task.completed ? ' completed' : ''}${isActive ? ' active' : ''}${isOverdue ? ' overdue' : ''}`;
             li.draggable = !task.completed;
             li.dataset.taskId = task.id;
+            li.tabIndex = -1;
+            li.addEventListener('focusin', () => selectTask(task.id));
 
             const estimated = task.estimatedPomodoros || 1;
             const actual = task.actualPomodoros || 0;
@@ -166,13 +412,35 @@ const Tasks = (function() {
                        ${task.completed ? 'checked' : ''}
                        aria-label="Mark ${task.text} as ${task.completed ? 'incomplete' : 'complete'}">
                 <span class="task-text">${escapeHtml(task.text)}</span>
+                ${renderTaskMeta(task, isOverdue)}
                 <span class="task-pomodoros ${pomodoroClass}">${actual}/${estimated} 🍅</span>
+                ${!task.completed ? `<button class="icon-btn plan-btn${isPlanned ? ' planned' : ''}" aria-pressed="${isPlanned}" aria-label="Plan for today" title="Plan for today">☀</button>` : ''}
+                <button class="icon-btn edit-btn" aria-label="Edit task">✎</button>
                 <button class="icon-btn delete-btn" aria-label="Delete task">&times;</button>
             `;
 
             const checkbox = li.querySelector('input[type="checkbox"]');
             checkbox.addEventListener('change', () => toggleTask(task.id));
 
+            const notesBadge = li.querySelector('.task-notes');
+            if (notesBadge) {
+                notesBadge.title = task.notes;
+            }
+
+            const editBtn = li.querySelector('.edit-btn');
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                TaskDetail.open(task, getProjects());
+            });
+
+            const planBtn = li.querySelector('.plan-btn');
+            if (planBtn) {
+                planBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    Plan.toggle(task.id);
+                });
+            }
+
             const deleteBtn = li.querySelector('.delete-btn');
             deleteBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -194,10 +462,68 @@ const Tasks = (function() {
                 li.addEventListener('dragover', handleDragOver);
                 li.addEventListener('drop', handleDrop);
                 li.addEventListener('dragleave', handleDragLeave);
+
+                // Touch and pen drags, which don't fire drag events
+                const handle = li.querySelector('.drag-handle');
+                handle.addEventListener('pointerdown', handlePointerDown);
+                handle.addEventListener('pointermove', handlePointerMove);
+                handle.addEventListener('pointerup', handlePointerUp);
+                handle.addEventListener('pointercancel', endPointerDrag);
             }
 
             elements.taskList.appendChild(li);
         });
+
+        const items = getTaskItems();
+        const selected = items.find(li => li.dataset.taskId === selectedTaskId) || items[0];
+        selectedTaskId = selected.dataset.taskId;
+        selected.tabIndex = 0;
+        if (hadFocus) {
+            selected.focus();
+        }
+    }
+
+    /**
+     * Show what the quick-add syntax in the task input will set
+     */
+    function renderQuickPreview() {
+        const chips = QuickAdd.describe(QuickAdd.parse(elements.taskInput.value));
+        elements.quickPreview.classList.toggle('hidden', chips.length === 0);
+        elements.quickPreview.innerHTML = chips
+            .map(chip => `<span class="quick-chip quick-chip-${chip.kind}">${escapeHtml(chip.label)}</span>`)
+            .join('');
+    }
+
+    /**
+     * Render the priority, project, tag, notes, subtask progress, repeat and
+     * due date badges of a task
+     */
+    function renderTaskMeta(task, isOverdue) {
+        const badges = [];
+        if (task.priority) {
+            badges.push(`<span class="task-badge task-priority priority-${task.priority}" title="${task.priority} priority">!${task.priority}</span>`);
+        }
+        if (task.project) {
+            badges.push(`<span class="task-badge task-project">${escapeHtml(task.project)}</span>`);
+        }
+        (task.tags || []).forEach(tag => {
+            badges.push(`<span class="task-badge task-tag">#${escapeHtml(tag)}</span>`);
+        });
+        if (task.notes) {
+            badges.push('<span class="task-badge task-notes" aria-label="Has notes">📝</span>');
+        }
+        if (task.subtasks && task.subtasks.length > 0) {
+            const done = task.subtasks.filter(s => s.done).length;
+            badges.push(`<span class="task-badge" title="Subtasks done">☑ ${done}/${task.subtasks.length}</span>`);
+        }
+        if (task.recurrence) {
+            badges.push(`<span class="task-badge task-recurrence" title="Repeats">🔁 ${Recurrence.describe(task.recurrence)}</span>`);
+        }
+        if (task.dueDate) {
+            const label = isOverdue ? 'Overdue' : 'Due';
+            badges.push(`<span class="task-badge task-due${isOverdue ? ' overdue' : ''}" title="${label} ${task.dueDate}">${label} ${TaskDetail.formatDueDate(task.dueDate)}</span>`);
+        }
+        return badges.join('');
     }
 
     /**
@@ -264,47 +590,326 @@ const Tasks = (function() {
         }
     }
 
+    /**
+     * Get the rendered task rows, top to bottom
+     */
+    function getTaskItems() {
+        return Array.from(elements.taskList.querySelectorAll('.task-item'));
+    }
+
+    /**
+     * Make a task the one the list's keyboard focus rests on
+     */
+    function selectTask(id) {
+        selectedTaskId = id;
+        getTaskItems().forEach(li => {
+            li.tabIndex = li.dataset.taskId === id ? 0 : -1;
+        });
+    }
+
+    /**
+     * Move the keyboard selection up (-1) or down (1) the list
+     */
+    function moveSelection(offset) {
+        const items = getTaskItems();
+        const index = items.findIndex(li => li.dataset.taskId === selectedTaskId);
+        const next = items[Math.max(0, Math.min(items.length - 1, index + offset))];
+        if (next) {
+            selectTask(next.dataset.taskId);
+            next.focus();
+        }
+    }
+
+    /**
+     * Tell screen reader users what a keyboard action did
+     */
+    function announce(message) {
+        elements.announcer.textContent = message;
+    }
+
+    /**
+     * Handle the task list keyboard shortcuts
+     */
+    function handleListKeydown(e) {
+        // Leave keys typed into a row's checkbox and buttons alone
+        const li = e.target;
+        if (!li.classList.contains('task-item')) return;
+
+        const task = tasks.find(t => t.id === li.dataset.taskId);
+        if (!task) return;
+
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            moveTask(task.id, e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        } else if (e.key === 'j' || e.key === 'ArrowDown') {
+            moveSelection(1);
+        } else if (e.key === 'k' || e.key === 'ArrowUp') {
+            moveSelection(-1);
+        } else if (e.key === 'Enter') {
+            if (task.completed) return;
+            const isActive = task.id === activeTaskId;
+            setActiveTask(isActive ? null : task.id);
+            announce(isActive ? `${task.text} is no longer active` : `${task.text} is now active`);
+        } else if (e.key === 'x') {
+            toggleTask(task.id);
+            announce(`${task.text} marked ${task.completed ? 'complete' : 'incomplete'}`);
+        } else if (e.key === 'e') {
+            TaskDetail.open(task, getProjects());
+        } else if (e.key === 'p') {
+            if (task.completed) return;
+            Plan.toggle(task.id);
+            announce(`${task.text} ${Plan.has(task.id) ? 'added to' : 'removed from'} today's plan`);
+        } else if (e.key === 'Delete') {
+            // Keep the selection in place by moving it to a neighbour
+            const items = getTaskItems();
+            const index = items.indexOf(li);
+            const neighbour = items[index + 1] || items[index - 1];
+            selectedTaskId = neighbour ? neighbour.dataset.taskId : null;
+            deleteTask(task.id);
+            announce(`${task.text} deleted`);
+        } else {
+            return;
+        }
+
+        // Don't let timer and other global shortcuts act on these keys too
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Move an incomplete task up (-1) or down (1) past its visible neighbour
+     */
+    function moveTask(id, offset) {
+        const movable = tasks.filter(t => matchesFilter(t) && !t.completed);
+        const index = movable.findIndex(t => t.id === id);
+        const neighbour = movable[index + offset];
+        if (index === -1 || !neighbour) return;
+
+        reorderTasks(id, neighbour.id, offset > 0);
+        announce(`${movable[index].text} moved to position ${index + offset + 1} of ${movable.length}`);
+    }
+
+    /**
+     * Start a touch or pen drag from a task's drag handle
+     */
+    function handlePointerDown(e) {
+        // Mice use the native drag and drop handlers
+        if (e.pointerType === 'mouse') return;
+
+        e.preventDefault();
+        const li = e.currentTarget.closest('.task-item');
+        draggedTaskId = li.dataset.taskId;
+        li.classList.add('dragging');
+        e.currentTarget.setPointerCapture(e.pointerId);
+    }
+
+    /**
+     * Find the incomplete task row under a point, other than the dragged one
+     */
+    function getDropTarget(x, y) {
+        const element = document.elementFromPoint(x, y);
+        const li = element && element.closest('.task-item:not(.completed)');
+        return li && li.dataset.taskId !== draggedTaskId ? li : null;
+    }
+
+    /**
+     * Highlight the row a touch or pen drag is over
+     */
+    function handlePointerMove(e) {
+        if (!draggedTaskId) return;
+
+        const target = getDropTarget(e.clientX, e.clientY);
+        getTaskItems().forEach(li => li.classList.toggle('drag-over', li === target));
+    }
+
+    /**
+     * Drop a touch or pen drag onto the row under it
+     */
+    function handlePointerUp(e) {
+        if (!draggedTaskId) return;
+
+        const target = getDropTarget(e.clientX, e.clientY);
+        const draggedId = draggedTaskId;
+        endPointerDrag();
+        if (target) {
+            reorderTasks(draggedId, target.dataset.taskId);
+        }
+    }
+
+    /**
+     * Clear the state of a touch or pen drag
+     */
+    function endPointerDrag() {
+        draggedTaskId = null;
+        getTaskItems().forEach(li => li.classList.remove('dragging', 'drag-over'));
+    }
+
     /**
      * Reorder tasks
+     * @param {string} draggedId - task to move
+     * @param {string} targetId - task to move it next to
+     * @param {boolean} [after] - place it after the target instead of before
      */
-    function reorderTasks(draggedId, targetId) {
+    function reorderTasks(draggedId, targetId, after = false) {
         const draggedIndex = tasks.findIndex(t => t.id === draggedId);
         const targetIndex = tasks.findIndex(t => t.id === targetId);
 
         if (draggedIndex === -1 || targetIndex === -1) return;
 
+        const before = captureState([draggedId]);
+
         // Remove dragged task
         const [draggedTask] = tasks.splice(draggedIndex, 1);
 
         // Insert at new position
-        const newTargetIndex = tasks.findIndex(t => t.id === targetId);
+        const newTargetIndex = tasks.findIndex(t => t.id === targetId) + (after ? 1 : 0);
         tasks.splice(newTargetIndex, 0, draggedTask);
+        pushHistory('move', [draggedId], before);
 
         render();
+        emitter.emit('reorder', { task: { ...draggedTask }, tasks: getTasks() });
         notifyChange();
     }
 
     /**
-     * Notify of changes (for saving)
+     * Copy the tasks a change touches, and the list order, before or after
+     * the change
+     * @param {string[]} ids - tasks the change touches
+     * @returns {Object} { order, tasks: id -> copy, or null if absent }
      */
-    function notifyChange() {
-        if (onTasksChange) {
-            onTasksChange(tasks);
+    function captureState(ids) {
+        const copies = {};
+        ids.forEach(id => {
+            const task = tasks.find(t => t.id === id);
+            copies[id] = task ? JSON.parse(JSON.stringify(task)) : null;
+        });
+        return { order: tasks.map(t => t.id), tasks: copies };
+    }
+
+    /**
+     * Record a change that has just been made so it can be undone
+     */
+    function pushHistory(action, ids, before) {
+        undoStack.push({ action, ids, before, after: captureState(ids) });
+        if (undoStack.length > MAX_UNDO) {
+            undoStack.shift();
         }
+        redoStack = [];
     }
 
     /**
-     * Set callback for task changes
+     * Move the touched tasks from one recorded state to another. Only the
+     * fields the change itself made are put back, so pomodoros counted since
+     * are kept.
+     * @returns {Object} { restored, removed } copies of the tasks put back
+     *     into and taken out of the list
      */
-    function setOnTasksChange(callback) {
-        onTasksChange = callback;
+    function applyState(ids, from, to) {
+        const restored = [];
+        const removed = [];
+
+        ids.forEach(id => {
+            const target = to.tasks[id];
+            const source = from.tasks[id] || {};
+            const task = tasks.find(t => t.id === id);
+
+            if (!target) {
+                if (task) {
+                    removed.push({ ...task });
+                }
+                tasks = tasks.filter(t => t.id !== id);
+            } else if (!task) {
+                tasks.push(JSON.parse(JSON.stringify(target)));
+                restored.push({ ...target });
+            } else {
+                new Set([...Object.keys(target), ...Object.keys(source)]).forEach(field => {
+                    if (JSON.stringify(target[field]) === JSON.stringify(source[field])) return;
+                    if (field in target) {
+                        task[field] = JSON.parse(JSON.stringify(target[field]));
+                    } else {
+                        delete task[field];
+                    }
+                });
+            }
+        });
+
+        if (from.order.join() !== to.order.join()) {
+            // Tasks added since the change go last
+            const position = id => {
+                const index = to.order.indexOf(id);
+                return index === -1 ? Infinity : index;
+            };
+            tasks.sort((a, b) => position(a.id) - position(b.id));
+        }
+
+        const activeTask = tasks.find(t => t.id === activeTaskId);
+        if (activeTaskId && (!activeTask || activeTask.completed)) {
+            setActiveTask(null);
+        }
+        return { restored, removed };
+    }
+
+    /**
+     * Undo the most recent task change
+     * @returns {boolean} whether there was a change to undo
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return false;
+
+        const changed = applyState(entry.ids, entry.after, entry.before);
+        redoStack.push(entry);
+        render();
+        emitter.emit('undo', { action: entry.action, ...changed });
+        notifyChange();
+        Toast.show(`Undid ${ACTION_LABELS[entry.action]}`, { actionLabel: 'Redo', onAction: redo });
+        return true;
     }
 
     /**
-     * Set callback for active task changes
+     * Redo the most recently undone task change
+     * @returns {boolean} whether there was a change to redo
      */
-    function setOnActiveTaskChange(callback) {
-        onActiveTaskChange = callback;
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return false;
+
+        const changed = applyState(entry.ids, entry.before, entry.after);
+        undoStack.push(entry);
+        render();
+        emitter.emit('redo', { action: entry.action, ...changed });
+        notifyChange();
+        Toast.show(`Redid ${ACTION_LABELS[entry.action]}`, { actionLabel: 'Undo', onAction: undo });
+        return true;
+    }
+
+    /**
+     * Offer to undo a change that dropped tasks
+     */
+    function offerUndo(message) {
+        Toast.show(message, { actionLabel: 'Undo (Ctrl+Z)', onAction: undo });
+    }
+
+    /**
+     * Check whether there is a change to undo
+     */
+    function canUndo() {
+        return undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone change to redo
+     */
+    function canRedo() {
+        return redoStack.length > 0;
+    }
+
+    /**
+     * Notify of changes (for saving)
+     */
+    function notifyChange() {
+        emitter.emit('change', tasks);
     }
 
     /**
@@ -329,6 +934,7 @@ const Tasks = (function() {
         if (task && !task.completed) {
             task.actualPomodoros = (task.actualPomodoros || 0) + 1;
             render();
+            emitter.emit('pomodoro', { task: { ...task } });
             notifyChange();
             return true;
         }
@@ -336,25 +942,125 @@ const Tasks = (function() {
     }
 
     /**
-     * Clear all completed tasks
+     * Correct a task's actual pomodoros for a session added to or deleted
+     * from the history by hand
+     * @param {number} delta - pomodoros to add, negative to take some away
+     * @returns {boolean} whether the task was found
+     */
+    function adjustTaskPomodoros(taskId, delta) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task || !delta) return false;
+
+        task.actualPomodoros = Math.max(0, (task.actualPomodoros || 0) + delta);
+        render();
+        notifyChange();
+        return true;
+    }
+
+    /**
+     * Start a new occurrence of every recurring task due today, recording
+     * how the previous one went
+     * @returns {boolean} whether any task was regenerated
+     */
+    function regenerateRecurring() {
+        const today = Recurrence.toDateKey(new Date());
+        const regenerated = [];
+
+        tasks.forEach(task => {
+            if (!task.recurrence || task.occurrenceDate === today) return;
+            if (!Recurrence.matches(task.recurrence, today)) return;
+
+            if (task.occurrenceDate) {
+                task.occurrences = (task.occurrences || []).concat({
+                    date: task.occurrenceDate,
+                    completed: task.completed,
+                    completedAt: task.completedAt || null,
+                    actualPomodoros: task.actualPomodoros || 0
+                }).slice(-MAX_OCCURRENCES);
+            }
+
+            // The estimate carries over; progress starts from scratch
+            task.occurrenceDate = today;
+            task.completed = false;
+            delete task.completedAt;
+            task.actualPomodoros = 0;
+            (task.subtasks || []).forEach(subtask => {
+                subtask.done = false;
+            });
+            regenerated.push({ ...task });
+        });
+
+        if (regenerated.length === 0) return false;
+
+        render();
+        emitter.emit('regenerate', { tasks: regenerated });
+        notifyChange();
+        return true;
+    }
+
+    /**
+     * Put an archived task back on the list, reopened, keeping the
+     * pomodoros already spent on it
+     * @param {Object} task - the archived task
+     * @returns {boolean} whether the task was restored
+     */
+    function restoreTask(task) {
+        if (tasks.some(t => t.id === task.id)) return false;
+
+        const restored = { ...task, completed: false };
+        delete restored.completedAt;
+        delete restored.archivedAt;
+
+        tasks.push(restored);
+        render();
+        emitter.emit('restore', { task: { ...restored } });
+        notifyChange();
+        return true;
+    }
+
+    /**
+     * Clear all completed tasks (recurring ones stay for their next
+     * occurrence)
      */
     function clearCompleted() {
-        tasks = tasks.filter(t => !t.completed);
+        const cleared = tasks.filter(t => t.completed && !t.recurrence);
+        if (cleared.length === 0) return;
+
+        const ids = cleared.map(t => t.id);
+        const before = captureState(ids);
+        tasks = tasks.filter(t => !cleared.includes(t));
+        pushHistory('clear', ids, before);
         render();
+        emitter.emit('clearCompleted', { tasks: cleared });
         notifyChange();
+        offerUndo(`Cleared ${cleared.length} completed ${cleared.length === 1 ? 'task' : 'tasks'}`);
     }
 
     // Public API
     return {
         init,
+        load,
         getTasks,
         getCompletedCount,
         clearCompleted,
-        setOnTasksChange,
-        setOnActiveTaskChange,
+        restoreTask,
+        importTasks,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        updateTask,
+        regenerateRecurring,
+        getProjects,
+        getTags,
+        setFilter,
+        on: emitter.on,
+        once: emitter.once,
+        off: emitter.off,
         setActiveTask,
         getActiveTask,
         getActiveTaskId,
-        incrementTaskPomodoro
+        incrementTaskPomodoro,
+        adjustTaskPomodoros
     };
 })();
@@ -0,0 +1,1023 @@
+/**
+ * Timer Core Module
+ * The session state machine behind the timer, free of any DOM access so it
+ * can run in the browser, under Node or in tests. Time and persistence come
+ * from an injectable clock and storage adapter.
+ */
+
+const TimerCore = (function() {
+    const EventsModule = typeof Events !== 'undefined' ? Events : require('./events.js');
+
+    // LocalStorage key
+    const TIMER_STATE_KEY = 'pomodoro_timer_state';
+
+    // Poll faster than once a second so the display never lags a full second
+    // behind the wall clock; remaining time is always derived from endTime.
+    const TICK_INTERVAL = 250;
+
+    // Adjustments never cut the running phase shorter than this
+    const MIN_ADJUSTED_REMAINING = 60; // seconds
+
+    /**
+     * Clock backed by the real time and timers
+     */
+    const systemClock = {
+        now: () => Date.now(),
+        setInterval: (fn, ms) => setInterval(fn, ms),
+        clearInterval: (id) => clearInterval(id)
+    };
+
+    /**
+     * Storage adapter that keeps everything in memory (for Node and tests)
+     */
+    function createMemoryStorage() {
+        const items = {};
+        return {
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: (key) => { delete items[key]; }
+        };
+    }
+
+    /**
+     * Create a timer
+     * @param {Object} [options] - { clock: { now, setInterval, clearInterval },
+     *     storage: { getItem, setItem, removeItem }, storageKey, isLeader }
+     *     isLeader returns false while another timer sharing the storage is
+     *     the one that finishes sessions
+     */
+    function createTimer(options = {}) {
+        const clock = options.clock || systemClock;
+        const storage = options.storage || createMemoryStorage();
+        const storageKey = options.storageKey || TIMER_STATE_KEY;
+        const isLeader = options.isLeader || (() => true);
+
+        // Timer state
+        const state = {
+            timeRemaining: 25 * 60, // in seconds
+            isRunning: false,
+            isPaused: false,
+            sessionType: 'work', // 'work' or 'break', derived from the current phase
+            phaseIndex: 0, // position in the active sequence
+            completedPomodoros: 0,
+            cyclePomodoros: 0, // focus phases completed in the current pass of the sequence
+            lastActiveAt: null, // timestamp the clock last stopped, for the idle cycle reset
+            isOvertime: false, // counting up past the end of a focus phase
+            overtimeFrom: null, // timestamp the focus phase ended and overtime began
+            interruptions: [], // logged during the current focus phase
+            extraSeconds: 0, // manual adjustment to the current phase's length
+            endTime: null, // wall-clock timestamp (ms) the running session ends at
+            intervalId: null
+        };
+
+        // Settings (will be updated from Settings module)
+        let settings = {
+            sequence: {
+                id: 'classic',
+                name: 'Classic Pomodoro',
+                phases: [
+                    { label: 'Focus Time', duration: 25, color: '#e74c3c', isBreak: false },
+                    { label: 'Short Break', duration: 5, color: '#27ae60', isBreak: true }
+                ],
+                loopFrom: 0
+            },
+            autoStart: false,
+            overtime: false,
+            cycleReset: {
+                idleMinutes: 0, // start the sequence over after this long idle (0 = never)
+                daily: false // start the sequence over on a new day
+            }
+        };
+
+        // End time of a session that was still running when the page was
+        // closed, held until resume() replays it
+        let pendingEndTime = null;
+
+        // Sequence picked while a phase was under way; it takes over when
+        // that phase ends
+        let pendingSequence = null;
+
+        // State before the last reset, skip or phase change, for undo
+        let undoSnapshot = null;
+        let undoId = 0;
+
+        // Lifecycle events: start, pause, resume, reset, skip, adjust, undo,
+        // undoAvailable, phaseChange, tick, complete, overtimeEnd, abort,
+        // stateChange
+        const emitter = EventsModule.createEmitter();
+
+        /**
+         * Initialize timer with settings
+         */
+        function init(timerSettings, savedState) {
+            if (timerSettings) {
+                settings = { ...settings, ...timerSettings };
+            }
+
+            // Restore saved state or use defaults
+            if (savedState) {
+                restoreState(savedState);
+            } else {
+                state.timeRemaining = getPhaseDuration();
+            }
+
+            if (!pendingEndTime && shouldResetCycle()) {
+                resetCycle();
+            }
+        }
+
+        /**
+         * Restore state from saved data
+         */
+        function restoreState(savedState) {
+            const phases = settings.sequence.phases;
+
+            if (savedState.sequenceId && savedState.sequenceId !== settings.sequence.id) {
+                // The sequence changed since the state was saved; start it over
+                state.phaseIndex = 0;
+            } else if (typeof savedState.phaseIndex === 'number') {
+                state.phaseIndex = Math.min(savedState.phaseIndex, phases.length - 1);
+            } else if (savedState.sessionType && savedState.sessionType !== 'work') {
+                // State saved before sequences existed only knows the break kind
+                const breakIndexes = phases.map((p, i) => p.isBreak ? i : -1).filter(i => i !== -1);
+                const index = savedState.sessionType === 'longBreak'
+                    ? breakIndexes[breakIndexes.length - 1]
+                    : breakIndexes[0];
+                state.phaseIndex = index === undefined ? 0 : index;
+            }
+            state.sessionType = getPhase().isBreak ? 'break' : 'work';
+
+            state.timeRemaining = savedState.timeRemaining || getPhaseDuration();
+            state.completedPomodoros = savedState.completedPomodoros || 0;
+            state.cyclePomodoros = typeof savedState.cyclePomodoros === 'number'
+                ? savedState.cyclePomodoros
+                : countFocusPhasesInPass(state.phaseIndex);
+            state.lastActiveAt = savedState.lastActiveAt || null;
+            state.isPaused = savedState.isPaused || false;
+            state.isOvertime = (savedState.isOvertime && !getPhase().isBreak) || false;
+            state.overtimeFrom = state.isOvertime ? savedState.overtimeFrom : null;
+            state.interruptions = savedState.interruptions || [];
+            state.extraSeconds = savedState.extraSeconds || 0;
+
+            // A running session keeps going in wall-clock time while the page
+            // is closed; resume() picks it up once the app is ready for events
+            if (savedState.isRunning && savedState.endTime) {
+                pendingEndTime = savedState.endTime;
+                state.timeRemaining = Math.ceil((pendingEndTime - clock.now()) / 1000);
+                if (!state.isOvertime) {
+                    state.timeRemaining = Math.max(0, state.timeRemaining);
+                }
+            }
+        }
+
+        /**
+         * Resume a session that was running when the page was closed. Sessions
+         * that finished in the meantime are replayed through the normal cycle
+         * so they are credited and the timer lands in the right phase.
+         */
+        function resume() {
+            if (!pendingEndTime) return;
+
+            let endTime = pendingEndTime;
+            pendingEndTime = null;
+
+            while (!state.isOvertime && endTime <= clock.now()) {
+                state.timeRemaining = 0;
+                state.lastActiveAt = endTime;
+
+                // A focus phase in overtime mode keeps counting until the user
+                // takes the break, however long the page was closed
+                if (settings.overtime && !getPhase().isBreak) {
+                    enterOvertime({ endedAt: endTime, replayed: true });
+                    break;
+                }
+
+                finishSession({ endedAt: endTime, replayed: true });
+
+                // Without auto-start the cycle stops at the next phase
+                if (!settings.autoStart) return;
+                endTime += state.timeRemaining * 1000;
+            }
+
+            run(endTime);
+            emitter.emit('resume', { ...getRunPayload(), restored: true });
+        }
+
+        /**
+         * Take over state saved by another timer sharing the storage,
+         * without saving it back or replaying anything
+         */
+        function adoptState(savedState) {
+            clock.clearInterval(state.intervalId);
+            state.isRunning = false;
+            state.endTime = null;
+            pendingEndTime = null;
+
+            restoreState(savedState);
+
+            if (pendingEndTime) {
+                state.isRunning = true;
+                state.endTime = pendingEndTime;
+                state.intervalId = clock.setInterval(tick, TICK_INTERVAL);
+                pendingEndTime = null;
+            }
+
+            emitter.emit('stateChange', getSavedState());
+        }
+
+        /**
+         * Get a phase of the active sequence (the current one by default)
+         */
+        function getPhase(index) {
+            const phases = settings.sequence.phases;
+            return phases[index === undefined ? state.phaseIndex : index] || phases[0];
+        }
+
+        /**
+         * Get the phase that follows the current one, looping back at the end
+         */
+        function getNextPhaseIndex() {
+            const next = state.phaseIndex + 1;
+            return next < settings.sequence.phases.length ? next : (settings.sequence.loopFrom || 0);
+        }
+
+        /**
+         * Get total duration of the current phase in seconds, including any
+         * adjustment made to this run of it
+         */
+        function getPhaseDuration() {
+            return getPhase().duration * 60 + state.extraSeconds;
+        }
+
+        /**
+         * Count the focus phases before a position within its pass: the
+         * lead-in before loopFrom, or the repeating part after it
+         */
+        function countFocusPhasesInPass(index) {
+            const loopFrom = settings.sequence.loopFrom || 0;
+            const passStart = index < loopFrom ? 0 : loopFrom;
+            return settings.sequence.phases.slice(passStart, index).filter(p => !p.isBreak).length;
+        }
+
+        /**
+         * Check whether moving between two phases starts a new pass of the
+         * sequence (looping back, or leaving the lead-in)
+         */
+        function startsNewPass(fromIndex, toIndex) {
+            const loopFrom = settings.sequence.loopFrom || 0;
+            return toIndex <= fromIndex || (fromIndex < loopFrom && toIndex >= loopFrom);
+        }
+
+        /**
+         * Move to a phase of the sequence with its full duration
+         * @param {number} index - phase to move to
+         * @param {string} reason - 'complete', 'skip', 'overtimeEnd', 'jump',
+         *     'reset' or 'cycleReset'
+         * @param {Object} [from] - phase being left, when the sequence was
+         *     swapped out from under it
+         */
+        function setPhase(index, reason, from = getPhase()) {
+            if (startsNewPass(state.phaseIndex, index)) {
+                state.cyclePomodoros = 0;
+            }
+            state.phaseIndex = index;
+            state.sessionType = getPhase().isBreak ? 'break' : 'work';
+            state.isPaused = false;
+            state.extraSeconds = 0;
+            state.timeRemaining = getPhaseDuration();
+            state.interruptions = [];
+            saveState();
+
+            emitter.emit('phaseChange', {
+                from: { ...from },
+                to: { ...getPhase() },
+                phaseIndex: index,
+                reason
+            });
+        }
+
+        /**
+         * Save current state to storage
+         */
+        function saveState() {
+            const stateToSave = getSavedState();
+
+            try {
+                storage.setItem(storageKey, JSON.stringify(stateToSave));
+            } catch (e) {
+                console.error('Failed to save timer state:', e);
+            }
+
+            emitter.emit('stateChange', stateToSave);
+        }
+
+        /**
+         * Get the state as it is persisted
+         */
+        function getSavedState() {
+            return {
+                timeRemaining: state.timeRemaining,
+                sessionType: state.sessionType,
+                sequenceId: settings.sequence.id,
+                phaseIndex: state.phaseIndex,
+                completedPomodoros: state.completedPomodoros,
+                cyclePomodoros: state.cyclePomodoros,
+                lastActiveAt: state.lastActiveAt,
+                isOvertime: state.isOvertime,
+                overtimeFrom: state.overtimeFrom,
+                interruptions: state.interruptions,
+                extraSeconds: state.extraSeconds,
+                isRunning: state.isRunning,
+                isPaused: state.isPaused,
+                endTime: state.endTime,
+                savedAt: clock.now()
+            };
+        }
+
+        /**
+         * Load state from storage
+         */
+        function loadState() {
+            try {
+                const saved = storage.getItem(storageKey);
+                return saved ? JSON.parse(saved) : null;
+            } catch (e) {
+                console.error('Failed to load timer state:', e);
+                return null;
+            }
+        }
+
+        /**
+         * Clear saved state
+         */
+        function clearState() {
+            try {
+                storage.removeItem(storageKey);
+            } catch (e) {
+                console.error('Failed to clear timer state:', e);
+            }
+        }
+
+        /**
+         * Update settings
+         */
+        function updateSettings(newSettings) {
+            // A running session or pending overtime finishes in the phase it
+            // started in; a new sequence waits until that phase ends
+            if (state.isRunning || state.isOvertime) {
+                const sequence = newSettings.sequence;
+                pendingSequence = sequence && !isSameSequence(sequence, settings.sequence) ? sequence : null;
+                settings = { ...settings, ...newSettings, sequence: settings.sequence };
+                return;
+            }
+
+            const previousSequenceId = settings.sequence.id;
+            pendingSequence = null;
+            settings = { ...settings, ...newSettings };
+
+            const phaseCount = settings.sequence.phases.length;
+            if (settings.sequence.id !== previousSequenceId) {
+                state.phaseIndex = 0;
+                state.cyclePomodoros = 0;
+            } else if (state.phaseIndex >= phaseCount) {
+                state.phaseIndex = phaseCount - 1;
+            }
+            state.sessionType = getPhase().isBreak ? 'break' : 'work';
+            state.extraSeconds = 0;
+            state.timeRemaining = getPhaseDuration();
+            saveState();
+        }
+
+        function isSameSequence(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        /**
+         * Switch to the sequence picked while the last phase was under way
+         * @returns {boolean} whether it is a different sequence, which starts
+         *     over from its first phase
+         */
+        function applyPendingSequence() {
+            if (!pendingSequence) return false;
+
+            const restart = pendingSequence.id !== settings.sequence.id;
+            settings = { ...settings, sequence: pendingSequence };
+            pendingSequence = null;
+            state.phaseIndex = Math.min(state.phaseIndex, settings.sequence.phases.length - 1);
+            return restart;
+        }
+
+        /**
+         * Start the timer
+         */
+        function start() {
+            if (state.isRunning) return;
+
+            if (shouldResetCycle()) {
+                resetCycle();
+            }
+
+            const resuming = state.isPaused;
+            run(clock.now() + state.timeRemaining * 1000);
+            emitter.emit(resuming ? 'resume' : 'start', { ...getRunPayload(), restored: false });
+        }
+
+        /**
+         * Describe the running phase for start/resume events
+         */
+        function getRunPayload() {
+            return {
+                phase: { ...getPhase() },
+                phaseIndex: state.phaseIndex,
+                timeRemaining: state.timeRemaining,
+                endTime: state.endTime,
+                isOvertime: state.isOvertime
+            };
+        }
+
+        /**
+         * Run the timer until the given wall-clock end time
+         */
+        function run(endTime) {
+            state.isRunning = true;
+            state.isPaused = false;
+
+            state.endTime = endTime;
+            state.timeRemaining = getRemainingSeconds();
+            state.intervalId = clock.setInterval(tick, TICK_INTERVAL);
+
+            saveState();
+        }
+
+        /**
+         * Pause the timer
+         */
+        function pause() {
+            if (!state.isRunning) return;
+
+            stop();
+
+            emitter.emit('pause', {
+                phase: { ...getPhase() },
+                timeRemaining: state.timeRemaining,
+                isOvertime: state.isOvertime
+            });
+        }
+
+        /**
+         * Stop the clock, keeping the remaining time
+         */
+        function stop() {
+            if (!state.isRunning) return;
+
+            state.timeRemaining = getRemainingSeconds();
+            state.isRunning = false;
+            state.isPaused = true;
+            state.endTime = null;
+            state.lastActiveAt = clock.now();
+
+            clock.clearInterval(state.intervalId);
+            saveState();
+        }
+
+        /**
+         * Reset the timer
+         */
+        function reset() {
+            // The focus phase already counted; resetting overtime just stops it
+            if (state.isOvertime) {
+                endOvertime();
+                return;
+            }
+
+            const untouched = !state.isRunning && !state.extraSeconds &&
+                state.timeRemaining === getPhaseDuration();
+            if (untouched) return;
+
+            const now = clock.now();
+            saveUndoSnapshot('reset', 'Timer reset', now);
+            stop();
+            const elapsedSeconds = abortPhase(now);
+
+            const from = getPhase();
+            if (applyPendingSequence()) {
+                setPhase(0, 'reset', from);
+            } else {
+                state.isPaused = false;
+                state.extraSeconds = 0;
+                state.timeRemaining = getPhaseDuration();
+                state.interruptions = [];
+                saveState();
+            }
+
+            emitter.emit('reset', { phase: { ...getPhase() }, elapsedSeconds, at: now });
+        }
+
+        /**
+         * Report a phase abandoned part-way; a focus phase abandoned this way
+         * doesn't count as a pomodoro
+         * @returns {number} seconds of the phase that had elapsed
+         */
+        function abortPhase(now) {
+            const elapsedSeconds = getPhaseDuration() - state.timeRemaining;
+            if (elapsedSeconds > 0) {
+                emitter.emit('abort', {
+                    sessionType: state.sessionType,
+                    phase: { ...getPhase() },
+                    plannedSeconds: getPhaseDuration(),
+                    elapsedSeconds,
+                    interruptions: [...state.interruptions],
+                    endedAt: now
+                });
+            }
+            return elapsedSeconds;
+        }
+
+        /**
+         * Report a break left before it was over
+         */
+        function reportSkip(now) {
+            emitter.emit('skip', {
+                phase: { ...getPhase() },
+                plannedSeconds: getPhaseDuration(),
+                elapsedSeconds: getPhaseDuration() - state.timeRemaining,
+                at: now
+            });
+        }
+
+        /**
+         * Get the distinct phases of the active sequence, one per label, in
+         * the order they first appear
+         */
+        function getPhaseChoices() {
+            const choices = [];
+            settings.sequence.phases.forEach(phase => {
+                if (!choices.some(choice => choice.label === phase.label)) {
+                    choices.push({ ...phase });
+                }
+            });
+            return choices;
+        }
+
+        /**
+         * Find the next occurrence of a phase after the current one
+         * @returns {number} phase index, or -1 if the sequence has no such phase
+         */
+        function findNextPhaseIndex(label) {
+            const phases = settings.sequence.phases;
+            for (let step = 1; step <= phases.length; step++) {
+                const index = (state.phaseIndex + step) % phases.length;
+                if (phases[index].label === label) return index;
+            }
+            return -1;
+        }
+
+        /**
+         * Switch straight to the next phase with the given label, abandoning
+         * the current one. Overtime ends first, keeping its credit.
+         * @returns {boolean} whether the phase changed
+         */
+        function selectPhase(label) {
+            if (getPhase().label === label && !state.isOvertime) return false;
+
+            if (state.isOvertime) {
+                endOvertime();
+                if (getPhase().label === label) return true;
+            } else {
+                const now = clock.now();
+                saveUndoSnapshot('jump', `Switched to ${label}`, now);
+                stop();
+                // Leaving a break for another phase skips the rest of it
+                if (getPhase().isBreak) {
+                    reportSkip(now);
+                } else {
+                    abortPhase(now);
+                }
+            }
+
+            const from = getPhase();
+            if (applyPendingSequence()) {
+                const index = settings.sequence.phases.findIndex(phase => phase.label === label);
+                setPhase(Math.max(index, 0), 'jump', from);
+                return true;
+            }
+
+            const index = findNextPhaseIndex(label);
+            if (index !== -1) {
+                setPhase(index, 'jump');
+            }
+            return true;
+        }
+
+        /**
+         * Check whether the timer has sat idle at a phase boundary long
+         * enough to start the sequence over
+         */
+        function shouldResetCycle() {
+            const { idleMinutes, daily } = settings.cycleReset || {};
+            if (!state.lastActiveAt || state.isRunning || state.isOvertime) return false;
+            if (state.extraSeconds || state.timeRemaining !== getPhaseDuration()) return false;
+            if (state.phaseIndex === 0 && state.cyclePomodoros === 0) return false;
+
+            const now = clock.now();
+            if (idleMinutes > 0 && now - state.lastActiveAt >= idleMinutes * 60 * 1000) {
+                return true;
+            }
+            return !!daily && new Date(state.lastActiveAt).toDateString() !== new Date(now).toDateString();
+        }
+
+        /**
+         * Start the sequence over from its first phase
+         */
+        function resetCycle() {
+            state.cyclePomodoros = 0;
+            setPhase(0, 'cycleReset');
+        }
+
+        /**
+         * Skip current break and move on to the next phase
+         */
+        function skipBreak() {
+            if (!getPhase().isBreak) return;
+
+            const now = clock.now();
+            saveUndoSnapshot('skip', `Skipped ${getPhase().label}`, now);
+            stop();
+            reportSkip(now);
+            moveOn('skip');
+        }
+
+        /**
+         * Lengthen or shorten the current phase
+         * @param {number} minutes - positive to add time, negative to remove it
+         */
+        function adjustTime(minutes) {
+            if (state.isOvertime || !minutes) return;
+
+            const remaining = getRemainingSeconds();
+            let delta = minutes * 60;
+            if (delta < 0) {
+                delta = Math.max(delta, Math.min(0, MIN_ADJUSTED_REMAINING - remaining));
+                if (delta === 0) return;
+            }
+
+            state.extraSeconds += delta;
+            state.timeRemaining = remaining + delta;
+            if (state.isRunning) {
+                state.endTime += delta * 1000;
+            }
+            saveState();
+
+            emitter.emit('adjust', { minutes: delta / 60, timeRemaining: state.timeRemaining });
+        }
+
+        /**
+         * Remember the current state so the action about to happen can be
+         * undone, and announce it so the UI can offer the undo
+         * @param {string} action - 'reset', 'skip', 'jump' or 'endOvertime'
+         * @param {string} message - describes the action to the user
+         * @param {number} [at] - timestamp of the action
+         */
+        function saveUndoSnapshot(action, message, at) {
+            undoSnapshot = {
+                id: ++undoId,
+                action,
+                at: at || clock.now(),
+                sequence: settings.sequence,
+                pendingSequence,
+                phaseIndex: state.phaseIndex,
+                completedPomodoros: state.completedPomodoros,
+                cyclePomodoros: state.cyclePomodoros,
+                timeRemaining: getRemainingSeconds(),
+                isRunning: state.isRunning,
+                isPaused: state.isPaused,
+                endTime: state.endTime,
+                isOvertime: state.isOvertime,
+                overtimeFrom: state.overtimeFrom,
+                interruptions: [...state.interruptions],
+                extraSeconds: state.extraSeconds
+            };
+
+            emitter.emit('undoAvailable', { id: undoId, action, message });
+        }
+
+        /**
+         * Stop offering an undo
+         * @param {number} [id] - only discard this snapshot, not a newer one
+         */
+        function discardUndo(id) {
+            if (undoSnapshot && (id === undefined || undoSnapshot.id === id)) {
+                undoSnapshot = null;
+            }
+        }
+
+        /**
+         * Restore the state from before the last reset, skip or phase change
+         * @returns {boolean} whether there was anything to undo
+         */
+        function undo() {
+            if (!undoSnapshot) return false;
+
+            const snapshot = undoSnapshot;
+            undoSnapshot = null;
+            stop();
+
+            const from = getPhase();
+            settings = { ...settings, sequence: snapshot.sequence };
+            pendingSequence = snapshot.pendingSequence;
+            state.phaseIndex = snapshot.phaseIndex;
+            state.sessionType = getPhase().isBreak ? 'break' : 'work';
+            state.completedPomodoros = snapshot.completedPomodoros;
+            state.cyclePomodoros = snapshot.cyclePomodoros;
+            state.timeRemaining = snapshot.timeRemaining;
+            state.isPaused = snapshot.isPaused;
+            state.isOvertime = snapshot.isOvertime;
+            state.overtimeFrom = snapshot.overtimeFrom;
+            state.interruptions = snapshot.interruptions;
+            state.extraSeconds = snapshot.extraSeconds;
+
+            // A running session carries on as if it had never been interrupted
+            if (snapshot.isRunning) {
+                run(snapshot.endTime);
+            } else {
+                saveState();
+            }
+
+            emitter.emit('undo', { action: snapshot.action, at: snapshot.at, overtimeFrom: snapshot.overtimeFrom });
+            if (from !== getPhase()) {
+                emitter.emit('phaseChange', {
+                    from: { ...from },
+                    to: { ...getPhase() },
+                    phaseIndex: state.phaseIndex,
+                    reason: 'undo'
+                });
+            }
+            return true;
+        }
+
+        /**
+         * Seconds left in the running session, measured against the clock
+         */
+        function getRemainingSeconds() {
+            if (!state.endTime) return state.timeRemaining;
+            const remaining = Math.ceil((state.endTime - clock.now()) / 1000);
+
+            // Overtime counts up past the end as negative remaining time
+            return state.isOvertime ? remaining : Math.max(0, remaining);
+        }
+
+        /**
+         * Timer tick - polls the clock and updates when a second has passed
+         */
+        function tick() {
+            if (!state.isRunning) return;
+
+            const remaining = getRemainingSeconds();
+            if (remaining !== state.timeRemaining) {
+                state.timeRemaining = remaining;
+
+                emitter.emit('tick', {
+                    timeRemaining: state.timeRemaining,
+                    sessionType: state.sessionType,
+                    phase: { ...getPhase() },
+                    isOvertime: state.isOvertime
+                });
+
+                // Followers only show the countdown; the leader keeps the
+                // shared state saved
+                if (isLeader()) {
+                    saveState();
+                } else {
+                    emitter.emit('stateChange', getSavedState());
+                }
+            }
+
+            // Only the leader finishes the session, so it's credited once. A
+            // follower that takes over the lead finishes it on its next tick.
+            if (state.timeRemaining <= 0 && !state.isOvertime && isLeader()) {
+                handleTimerEnd();
+            }
+        }
+
+        /**
+         * Handle timer completion
+         */
+        function handleTimerEnd() {
+            const endedAt = state.endTime || clock.now();
+
+            if (settings.overtime && !getPhase().isBreak) {
+                enterOvertime({ endedAt, replayed: false });
+                return;
+            }
+
+            stop();
+            finishSession({ endedAt, replayed: false });
+        }
+
+        /**
+         * Report the finished focus phase but keep the clock running,
+         * counting up until the user takes the break
+         */
+        function enterOvertime(details) {
+            state.isOvertime = true;
+            state.overtimeFrom = details.endedAt;
+
+            emitter.emit('complete', {
+                ...details,
+                sessionType: state.sessionType,
+                phase: { ...getPhase() },
+                duration: Math.round(getPhaseDuration() / 60),
+                interruptions: [...state.interruptions],
+                overtime: true
+            });
+
+            saveState();
+        }
+
+        /**
+         * Stop overtime, report the extra time and move on to the next phase
+         */
+        function endOvertime() {
+            if (!state.isOvertime) return;
+
+            saveUndoSnapshot('endOvertime', 'Overtime ended');
+            stop();
+            const details = {
+                overtimeSeconds: Math.max(0, -state.timeRemaining),
+                phase: { ...getPhase() },
+                phaseEndedAt: state.overtimeFrom
+            };
+            state.isOvertime = false;
+            state.overtimeFrom = null;
+
+            emitter.emit('overtimeEnd', details);
+
+            advancePhase('overtimeEnd');
+        }
+
+        /**
+         * End overtime and start the break straight away
+         */
+        function takeBreak() {
+            if (!state.isOvertime) return;
+
+            endOvertime();
+            start();
+        }
+
+        /**
+         * Report the finished session and advance to the next phase
+         * @param {Object} details - { endedAt: timestamp, replayed: true when caught up after a reload }
+         */
+        function finishSession(details) {
+            const phase = getPhase();
+            discardUndo();
+
+            emitter.emit('complete', {
+                ...details,
+                sessionType: state.sessionType,
+                phase: { ...phase },
+                duration: Math.round(getPhaseDuration() / 60),
+                interruptions: [...state.interruptions],
+                overtime: false
+            });
+
+            advancePhase('complete');
+        }
+
+        /**
+         * Move on from the current phase, counting it if it was focus time
+         */
+        function advancePhase(reason) {
+            if (!getPhase().isBreak) {
+                state.completedPomodoros++;
+                state.cyclePomodoros++;
+            }
+            moveOn(reason);
+        }
+
+        /**
+         * Go to the next phase, or to the start of a sequence picked while
+         * the last one was under way
+         */
+        function moveOn(reason) {
+            const from = getPhase();
+            const restart = applyPendingSequence();
+            setPhase(restart ? 0 : getNextPhaseIndex(), reason, from);
+        }
+
+        /**
+         * Log an interruption of the current focus phase
+         * @param {string} kind - 'internal' or 'external'
+         * @param {string} [note] - optional description
+         * @returns {boolean} whether there was a focus phase under way to log against
+         */
+        function logInterruption(kind, note) {
+            const started = state.isRunning || state.timeRemaining < getPhaseDuration();
+            if (getPhase().isBreak || state.isOvertime || !started) return false;
+
+            state.interruptions.push({
+                kind,
+                note: note || null,
+                at: new Date(clock.now()).toISOString()
+            });
+            saveState();
+            return true;
+        }
+
+        /**
+         * Get current state
+         */
+        function getState() {
+            return { ...state };
+        }
+
+        /**
+         * Get the current phase of the active sequence
+         */
+        function getCurrentPhase() {
+            return { ...getPhase() };
+        }
+
+        /**
+         * Get the active sequence
+         */
+        function getSequence() {
+            return settings.sequence;
+        }
+
+        /**
+         * Get total duration of the current phase in seconds
+         */
+        function getCurrentPhaseDuration() {
+            return getPhaseDuration();
+        }
+
+        /**
+         * Get total completed pomodoros
+         */
+        function getCompletedPomodoros() {
+            return state.completedPomodoros;
+        }
+
+        /**
+         * Set completed pomodoros (for loading saved state)
+         */
+        function setCompletedPomodoros(count) {
+            state.completedPomodoros = count;
+            emitter.emit('stateChange', getState());
+        }
+
+        return {
+            init,
+            resume,
+            adoptState,
+            start,
+            pause,
+            reset,
+            skipBreak,
+            selectPhase,
+            getPhaseChoices,
+            tick,
+            getState,
+            getCurrentPhase,
+            getSequence,
+            getPhaseDuration: getCurrentPhaseDuration,
+            updateSettings,
+            on: emitter.on,
+            once: emitter.once,
+            off: emitter.off,
+            takeBreak,
+            adjustTime,
+            undo,
+            discardUndo,
+            logInterruption,
+            getCompletedPomodoros,
+            setCompletedPomodoros,
+            loadState,
+            clearState
+        };
+    }
+
+    /**
+     * Format seconds as MM:SS
+     */
+    function formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    // Public API
+    return {
+        TIMER_STATE_KEY,
+        createTimer,
+        createMemoryStorage,
+        systemClock,
+        formatTime
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerCore;
+}
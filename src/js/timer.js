@@ -1,26 +1,11 @@
 /**
  * Timer Module
- * Handles core pomodoro timer functionality
+ * Drives the timer display and controls from the session state machine
+ * in TimerCore
  */
 
 const Timer = (function() {
-    // Timer state
-    let state = {
-        timeRemaining: 25 * 60, // in seconds
-        isRunning: false,
-        isPaused: false,
-        sessionType: 'work', // 'work', 'shortBreak', 'longBreak'
-        completedPomodoros: 0,
-        intervalId: null
-    };
-
-    // Settings (will be updated from Settings module)
-    let settings = {
-        workDuration: 25,
-        shortBreakDuration: 5,
-        longBreakDuration: 15,
-        pomodorosUntilLongBreak: 4
-    };
+    const core = TimerCore.createTimer({ storage: localStorage, isLeader: Sync.isLeader });
 
     // DOM Elements
     const elements = {
@@ -30,121 +15,40 @@ const Timer = (function() {
         progressCircle: document.getElementById('progress-circle'),
         sessionType: document.getElementById('session-type'),
         pomodoroCount: document.getElementById('pomodoro-count'),
+        interruptionCount: document.getElementById('interruption-count'),
         startBtn: document.getElementById('start-btn'),
         pauseBtn: document.getElementById('pause-btn'),
         resetBtn: document.getElementById('reset-btn'),
         skipSection: document.getElementById('skip-section'),
-        skipBtn: document.getElementById('skip-btn')
+        skipBtn: document.getElementById('skip-btn'),
+        adjustBtns: document.querySelectorAll('.adjust-btn'),
+        overtimeSection: document.getElementById('overtime-section'),
+        takeBreakBtn: document.getElementById('take-break-btn'),
+        phaseTabs: document.getElementById('phase-tabs')
     };
 
     // Progress ring constants
     const CIRCUMFERENCE = 2 * Math.PI * 115; // 722.566 for r=115
 
-    // Event callbacks
-    let onTimerEnd = null;
-    let onTick = null;
-    let onStateChange = null;
-
-    // LocalStorage key
-    const TIMER_STATE_KEY = 'pomodoro_timer_state';
-
     /**
      * Initialize timer with settings
      */
     function init(timerSettings, savedState) {
-        if (timerSettings) {
-            settings = { ...settings, ...timerSettings };
-        }
-
-        // Restore saved state or use defaults
-        if (savedState) {
-            restoreState(savedState);
-        } else {
-            state.timeRemaining = settings.workDuration * 60;
-        }
+        core.init(timerSettings, savedState);
 
         initProgressRing();
-        updateDisplay();
-        updateSessionDisplay();
-        updatePomodoroCount();
+        renderPhaseTabs();
+        render();
         bindEvents();
-    }
-
-    /**
-     * Restore state from saved data
-     */
-    function restoreState(savedState) {
-        state.timeRemaining = savedState.timeRemaining || settings.workDuration * 60;
-        state.sessionType = savedState.sessionType || 'work';
-        state.completedPomodoros = savedState.completedPomodoros || 0;
-        state.isPaused = savedState.isPaused || false;
-        // Don't restore isRunning - always start paused after refresh
-    }
-
-    /**
-     * Update session type display
-     */
-    function updateSessionDisplay() {
-        if (state.sessionType === 'work') {
-            elements.sessionType.textContent = 'Focus Time';
-            elements.skipSection.classList.add('hidden');
-            elements.timerCircle.classList.remove('break');
-        } else if (state.sessionType === 'shortBreak') {
-            elements.sessionType.textContent = 'Short Break';
-            elements.skipSection.classList.remove('hidden');
-            elements.timerCircle.classList.add('break');
-        } else {
-            elements.sessionType.textContent = 'Long Break';
-            elements.skipSection.classList.remove('hidden');
-            elements.timerCircle.classList.add('break');
-        }
-    }
-
-    /**
-     * Save current state to localStorage
-     */
-    function saveState() {
-        const stateToSave = {
-            timeRemaining: state.timeRemaining,
-            sessionType: state.sessionType,
-            completedPomodoros: state.completedPomodoros,
-            isPaused: state.isPaused,
-            savedAt: Date.now()
-        };
 
-        try {
-            localStorage.setItem(TIMER_STATE_KEY, JSON.stringify(stateToSave));
-        } catch (e) {
-            console.error('Failed to save timer state:', e);
-        }
-
-        if (onStateChange) {
-            onStateChange(stateToSave);
-        }
-    }
-
-    /**
-     * Load state from localStorage
-     */
-    function loadState() {
-        try {
-            const saved = localStorage.getItem(TIMER_STATE_KEY);
-            return saved ? JSON.parse(saved) : null;
-        } catch (e) {
-            console.error('Failed to load timer state:', e);
-            return null;
-        }
-    }
-
-    /**
-     * Clear saved state
-     */
-    function clearState() {
-        try {
-            localStorage.removeItem(TIMER_STATE_KEY);
-        } catch (e) {
-            console.error('Failed to clear timer state:', e);
-        }
+        core.on('stateChange', render);
+        // A sequence picked mid-session only takes over at the next phase
+        core.on('phaseChange', () => {
+            renderPhaseTabs();
+            render();
+        });
+        core.on('undoAvailable', showUndo);
+        core.on('undo', () => Toast.hide());
     }
 
     /**
@@ -159,307 +63,217 @@ const Timer = (function() {
      * Update settings
      */
     function updateSettings(newSettings) {
-        settings = { ...settings, ...newSettings };
-        if (!state.isRunning) {
-            if (state.sessionType === 'work') {
-                state.timeRemaining = settings.workDuration * 60;
-            } else if (state.sessionType === 'shortBreak') {
-                state.timeRemaining = settings.shortBreakDuration * 60;
-            } else {
-                state.timeRemaining = settings.longBreakDuration * 60;
-            }
-            updateDisplay();
-        }
+        core.updateSettings(newSettings);
+        renderPhaseTabs();
+        render();
+    }
+
+    /**
+     * Render a tab per distinct phase of the sequence, numbered for the
+     * keyboard shortcuts
+     */
+    function renderPhaseTabs() {
+        elements.phaseTabs.innerHTML = '';
+        core.getPhaseChoices().forEach((phase, i) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'phase-tab';
+            tab.setAttribute('role', 'tab');
+            tab.dataset.label = phase.label;
+            tab.textContent = phase.label;
+            tab.title = i < 9 ? `${phase.label} (${i + 1})` : phase.label;
+            tab.style.setProperty('--phase-color', phase.color);
+            tab.addEventListener('click', () => core.selectPhase(phase.label));
+            elements.phaseTabs.appendChild(tab);
+        });
     }
 
     /**
      * Bind UI events
      */
     function bindEvents() {
-        elements.startBtn.addEventListener('click', start);
-        elements.pauseBtn.addEventListener('click', pause);
-        elements.resetBtn.addEventListener('click', reset);
-        elements.skipBtn.addEventListener('click', skipBreak);
+        elements.startBtn.addEventListener('click', core.start);
+        elements.pauseBtn.addEventListener('click', core.pause);
+        elements.resetBtn.addEventListener('click', core.reset);
+        elements.skipBtn.addEventListener('click', core.skipBreak);
+        elements.takeBreakBtn.addEventListener('click', core.takeBreak);
+        elements.adjustBtns.forEach(btn => {
+            btn.addEventListener('click', () => core.adjustTime(parseInt(btn.dataset.minutes)));
+        });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT') return;
+            if (Keys.isEditableTarget(e.target)) return;
 
             if (e.code === 'Space') {
                 e.preventDefault();
-                if (state.isRunning) {
-                    pause();
+                if (core.getState().isRunning) {
+                    core.pause();
                 } else {
-                    start();
+                    core.start();
                 }
             } else if (e.code === 'KeyR') {
-                reset();
+                core.reset();
+            } else if (e.code === 'KeyU' && !e.ctrlKey && !e.metaKey) {
+                core.undo();
+            } else if (/^Digit[1-9]$/.test(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                const phase = core.getPhaseChoices()[parseInt(e.code.slice(5)) - 1];
+                if (phase) {
+                    core.selectPhase(phase.label);
+                }
             }
         });
-    }
-
-    /**
-     * Start the timer
-     */
-    function start() {
-        if (state.isRunning) return;
-
-        state.isRunning = true;
-        state.isPaused = false;
-
-        elements.startBtn.disabled = true;
-        elements.pauseBtn.disabled = false;
-        elements.timerCircle.classList.add('running');
-
-        if (state.sessionType !== 'work') {
-            elements.timerCircle.classList.add('break');
-        }
-
-        state.intervalId = setInterval(tick, 1000);
-    }
-
-    /**
-     * Pause the timer
-     */
-    function pause() {
-        if (!state.isRunning) return;
-
-        state.isRunning = false;
-        state.isPaused = true;
-
-        clearInterval(state.intervalId);
-
-        elements.startBtn.disabled = false;
-        elements.pauseBtn.disabled = true;
-        elements.timerCircle.classList.remove('running');
-        saveState();
-    }
-
-    /**
-     * Reset the timer
-     */
-    function reset() {
-        pause();
-        state.isPaused = false;
-
-        if (state.sessionType === 'work') {
-            state.timeRemaining = settings.workDuration * 60;
-        } else if (state.sessionType === 'shortBreak') {
-            state.timeRemaining = settings.shortBreakDuration * 60;
-        } else {
-            state.timeRemaining = settings.longBreakDuration * 60;
-        }
-
-        elements.timerCircle.classList.remove('break');
-        updateDisplay();
-        saveState();
-    }
-
-    /**
-     * Skip current break
-     */
-    function skipBreak() {
-        if (state.sessionType === 'work') return;
 
-        pause();
-        startWorkSession();
+        // Background tabs throttle intervals and sleeping laptops suspend
+        // them entirely, so catch up as soon as the page is visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                core.tick();
+            }
+        });
     }
 
     /**
-     * Timer tick - called every second
+     * Offer to undo a reset, skip or phase change while the toast is up
      */
-    function tick() {
-        state.timeRemaining--;
-
-        if (onTick) {
-            onTick(state.timeRemaining, state.sessionType);
-        }
-
-        updateDisplay();
-        updateTabTitle();
-        saveState();
-
-        if (state.timeRemaining <= 0) {
-            handleTimerEnd();
-        }
+    function showUndo({ id, message }) {
+        Toast.show(message, {
+            actionLabel: 'Undo (U)',
+            onAction: core.undo,
+            onClose: () => core.discardUndo(id)
+        });
     }
 
     /**
-     * Handle timer completion
+     * Bring every part of the timer display up to date
      */
-    function handleTimerEnd() {
-        pause();
+    function render() {
+        const state = core.getState();
 
-        if (onTimerEnd) {
-            onTimerEnd(state.sessionType);
-        }
+        elements.startBtn.disabled = state.isRunning;
+        elements.pauseBtn.disabled = !state.isRunning;
+        elements.timerCircle.classList.toggle('running', state.isRunning);
 
-        if (state.sessionType === 'work') {
-            state.completedPomodoros++;
-            updatePomodoroCount();
+        updateSessionDisplay(state);
+        updateDisplay(state);
+        updatePomodoroCount(state);
+        updateInterruptionCount(state);
 
-            // Check if long break is needed
-            if (state.completedPomodoros % settings.pomodorosUntilLongBreak === 0) {
-                startLongBreak();
-            } else {
-                startShortBreak();
-            }
-        } else {
-            startWorkSession();
+        if (state.isRunning || state.isPaused) {
+            updateTabTitle(state);
         }
     }
 
     /**
-     * Start work session
-     */
-    function startWorkSession() {
-        state.sessionType = 'work';
-        state.timeRemaining = settings.workDuration * 60;
-        elements.sessionType.textContent = 'Focus Time';
-        elements.skipSection.classList.add('hidden');
-        elements.timerCircle.classList.remove('break');
-        updateDisplay();
-        saveState();
-    }
-
-    /**
-     * Start short break
-     */
-    function startShortBreak() {
-        state.sessionType = 'shortBreak';
-        state.timeRemaining = settings.shortBreakDuration * 60;
-        elements.sessionType.textContent = 'Short Break';
-        elements.skipSection.classList.remove('hidden');
-        updateDisplay();
-        saveState();
-    }
-
-    /**
-     * Start long break
+     * Update session type display
      */
-    function startLongBreak() {
-        state.sessionType = 'longBreak';
-        state.timeRemaining = settings.longBreakDuration * 60;
-        elements.sessionType.textContent = 'Long Break';
-        elements.skipSection.classList.remove('hidden');
-        updateDisplay();
-        saveState();
+    function updateSessionDisplay(state) {
+        const phase = core.getCurrentPhase();
+
+        elements.sessionType.textContent = state.isOvertime ? `${phase.label} · Overtime` : phase.label;
+        elements.sessionType.style.color = state.isOvertime ? '' : phase.color;
+        elements.progressCircle.style.stroke = state.isOvertime ? '' : phase.color;
+        elements.timerCircle.classList.toggle('break', phase.isBreak);
+        elements.timerCircle.classList.toggle('overtime', state.isOvertime);
+
+        elements.skipBtn.textContent = `Skip ${phase.label}`;
+        elements.skipSection.classList.toggle('hidden', !phase.isBreak);
+        elements.overtimeSection.classList.toggle('hidden', !state.isOvertime);
+
+        elements.phaseTabs.querySelectorAll('.phase-tab').forEach(tab => {
+            const selected = tab.dataset.label === phase.label;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', selected);
+        });
     }
 
     /**
      * Update the timer display
      */
-    function updateDisplay() {
-        const minutes = Math.floor(state.timeRemaining / 60);
-        const seconds = state.timeRemaining % 60;
+    function updateDisplay(state) {
+        const shown = Math.abs(state.timeRemaining);
+        const minutes = Math.floor(shown / 60);
+        const seconds = shown % 60;
 
-        elements.minutes.textContent = minutes.toString().padStart(2, '0');
+        elements.minutes.textContent = (state.isOvertime ? '+' : '') + minutes.toString().padStart(2, '0');
         elements.seconds.textContent = seconds.toString().padStart(2, '0');
 
-        updateProgressRing();
+        updateProgressRing(state);
     }
 
     /**
      * Update the progress ring
      */
-    function updateProgressRing() {
-        const totalDuration = getTotalDuration();
+    function updateProgressRing(state) {
+        const totalDuration = core.getPhaseDuration();
         const elapsed = totalDuration - state.timeRemaining;
-        const progress = elapsed / totalDuration;
+        const progress = Math.min(1, elapsed / totalDuration);
         const offset = CIRCUMFERENCE * (1 - progress);
         elements.progressCircle.style.strokeDashoffset = offset;
     }
 
-    /**
-     * Get total duration for current session type
-     */
-    function getTotalDuration() {
-        if (state.sessionType === 'work') {
-            return settings.workDuration * 60;
-        } else if (state.sessionType === 'shortBreak') {
-            return settings.shortBreakDuration * 60;
-        } else {
-            return settings.longBreakDuration * 60;
-        }
-    }
-
     /**
      * Update pomodoro count display
      */
-    function updatePomodoroCount() {
-        const cycleCount = state.completedPomodoros % settings.pomodorosUntilLongBreak ||
-                          (state.completedPomodoros > 0 ? settings.pomodorosUntilLongBreak : 0);
-        elements.pomodoroCount.textContent = `${cycleCount}/${settings.pomodorosUntilLongBreak}`;
-    }
-
-    /**
-     * Update browser tab title with timer
-     */
-    function updateTabTitle() {
-        const minutes = Math.floor(state.timeRemaining / 60);
-        const seconds = state.timeRemaining % 60;
-        const timeStr = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        const sessionStr = state.sessionType === 'work' ? '🍅' : '☕';
-        document.title = `${timeStr} ${sessionStr} Pomodoro`;
-    }
-
-    /**
-     * Get current state
-     */
-    function getState() {
-        return { ...state };
+    function updatePomodoroCount(state) {
+        // Focus phases in the current pass: the lead-in before loopFrom, or
+        // the repeating part after it. Jumping ahead doesn't count as done.
+        const sequence = core.getSequence();
+        const phases = sequence.phases;
+        const loopFrom = sequence.loopFrom || 0;
+        const segment = state.phaseIndex < loopFrom ? phases.slice(0, loopFrom) : phases.slice(loopFrom);
+        const total = segment.filter(p => !p.isBreak).length;
+
+        elements.pomodoroCount.textContent = `${Math.min(state.cyclePomodoros, total)}/${total}`;
     }
 
     /**
-     * Set callback for timer end
+     * Show interruptions as tally marks: ' for internal, - for external
      */
-    function setOnTimerEnd(callback) {
-        onTimerEnd = callback;
+    function updateInterruptionCount(state) {
+        const count = state.interruptions.length;
+        elements.interruptionCount.textContent = state.interruptions
+            .map(i => i.kind === 'internal' ? "'" : '-')
+            .join(' ');
+        elements.interruptionCount.title = `${count} interruption${count === 1 ? '' : 's'}`;
+        elements.interruptionCount.classList.toggle('hidden', count === 0);
     }
 
     /**
-     * Set callback for each tick
-     */
-    function setOnTick(callback) {
-        onTick = callback;
-    }
-
-    /**
-     * Get total completed pomodoros
-     */
-    function getCompletedPomodoros() {
-        return state.completedPomodoros;
-    }
-
-    /**
-     * Set completed pomodoros (for loading saved state)
-     */
-    function setCompletedPomodoros(count) {
-        state.completedPomodoros = count;
-        updatePomodoroCount();
-    }
-
-    /**
-     * Set callback for state changes
+     * Update browser tab title with timer
      */
-    function setOnStateChange(callback) {
-        onStateChange = callback;
+    function updateTabTitle(state) {
+        const sessionStr = state.sessionType === 'break' ? '☕' : '🍅';
+        if (state.isOvertime) {
+            document.title = `+${TimerCore.formatTime(-state.timeRemaining)} ${sessionStr} Overtime`;
+        } else {
+            document.title = `${TimerCore.formatTime(state.timeRemaining)} ${sessionStr} Pomodoro`;
+        }
     }
 
     // Public API
     return {
+        STORAGE_KEY: TimerCore.TIMER_STATE_KEY,
         init,
-        start,
-        pause,
-        reset,
-        getState,
+        resume: core.resume,
+        selectPhase: core.selectPhase,
+        adoptState: core.adoptState,
+        start: core.start,
+        pause: core.pause,
+        reset: core.reset,
+        getState: core.getState,
+        getCurrentPhase: core.getCurrentPhase,
         updateSettings,
-        setOnTimerEnd,
-        setOnTick,
-        getCompletedPomodoros,
-        setCompletedPomodoros,
-        loadState,
-        clearState,
-        setOnStateChange
+        on: core.on,
+        once: core.once,
+        off: core.off,
+        takeBreak: core.takeBreak,
+        adjustTime: core.adjustTime,
+        undo: core.undo,
+        logInterruption: core.logInterruption,
+        getCompletedPomodoros: core.getCompletedPomodoros,
+        setCompletedPomodoros: core.setCompletedPomodoros,
+        loadState: core.loadState,
+        clearState: core.clearState
     };
 })();
@@ -0,0 +1,68 @@
+/**
+ * Toast Module
+ * Shows short-lived messages with an optional action (e.g. Undo)
+ */
+
+const Toast = (function() {
+    const DEFAULT_DURATION = 6000; // ms
+
+    let current = null;
+    let hideTimeoutId = null;
+
+    // DOM Elements
+    const elements = {
+        toast: document.getElementById('toast'),
+        message: document.getElementById('toast-message'),
+        actionBtn: document.getElementById('toast-action')
+    };
+
+    elements.actionBtn.addEventListener('click', () => {
+        const options = current;
+        if (options && options.onAction) {
+            options.onAction();
+        }
+        // The action may have shown a toast of its own
+        if (current === options) {
+            hide();
+        }
+    });
+
+    /**
+     * Show a message, replacing any toast already on screen
+     * @param {string} message - text to show
+     * @param {Object} [options] - { actionLabel, onAction, onClose, duration }
+     */
+    function show(message, options = {}) {
+        hide();
+
+        current = options;
+        elements.message.textContent = message;
+        elements.actionBtn.textContent = options.actionLabel || '';
+        elements.actionBtn.classList.toggle('hidden', !options.actionLabel);
+        elements.toast.classList.remove('hidden');
+
+        hideTimeoutId = setTimeout(hide, options.duration || DEFAULT_DURATION);
+    }
+
+    /**
+     * Hide the current toast
+     */
+    function hide() {
+        if (!current) return;
+
+        const options = current;
+        current = null;
+        clearTimeout(hideTimeoutId);
+        elements.toast.classList.add('hidden');
+
+        if (options.onClose) {
+            options.onClose();
+        }
+    }
+
+    // Public API
+    return {
+        show,
+        hide
+    };
+})();